@@ -0,0 +1,176 @@
+const cluster = require('cluster');
+const crypto = require('crypto');
+const path = require('path');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const log = require('./logger').child('cluster');
+
+// ─── Multi-process mode ──────────────────────────────────────────────────────
+// CLUSTER_WORKERS=N node server.js turns this process into a supervisor that
+// forks N copies of the server. Worker i listens on PORT + i, identifies itself
+// as INSTANCE_ID=worker-i and is reachable by its siblings at INSTANCE_URL.
+// Socket.IO's long-polling transport needs sticky sessions, so put a load
+// balancer that pins clients to one worker (e.g. nginx ip_hash) in front.
+//
+// The primary runs no app code. It relays two kinds of IPC message between
+// workers:
+//   adapter   Socket.IO cluster-adapter traffic (broadcasts, disconnectSockets,
+//             serverSideEmit, …) — see createIpcAdapter
+//   state-*   the shared-state backend (see shared-state.js); the primary keeps
+//             the authoritative copy so a restarted worker can catch up
+// A worker that dies is forked again on the same port, and the entries it
+// owned (its sockets' health and peer ids, its uploads) are dropped.
+
+const CLUSTER_WORKERS = parseInt(process.env.CLUSTER_WORKERS, 10) || 0;
+const RESPAWN_DELAY_MS = 1000;
+
+// Namespaces whose entries belong to the instance that published them
+const OWNED_NAMESPACES = ['health', 'peers', 'uploads'];
+
+function shouldSupervise() {
+  return CLUSTER_WORKERS > 1 && cluster.isPrimary;
+}
+
+function runPrimary() {
+  const basePort = parseInt(process.env.PORT, 10) || 10000;
+  const state = {};          // namespace → Map(key → value)
+  const slots = new Map();   // worker.id → slot index
+  const adapterOwners = new Map(); // Socket.IO adapter uid → worker (routes responses)
+  let stopping = false;
+
+  // Tokens signed by one worker have to verify on every other one
+  let hostTokenSecret = process.env.HOST_TOKEN_SECRET;
+  if (!hostTokenSecret) {
+    hostTokenSecret = crypto.randomBytes(32).toString('hex');
+    log.warn('HOST_TOKEN_SECRET not set — using a random secret shared by this cluster; host tokens will not survive a restart');
+  }
+
+  // Buffers (chunk data in broadcasts) and Sets survive the 'advanced' serialisation
+  cluster.setupPrimary({ serialization: 'advanced' });
+
+  function fork(slot) {
+    const port = basePort + slot;
+    const instanceId = `worker-${slot}`;
+    const worker = cluster.fork({
+      PORT: String(port),
+      HOST_TOKEN_SECRET: hostTokenSecret,
+      INSTANCE_ID: instanceId,
+      INSTANCE_URL: process.env.INSTANCE_HOST
+        ? `http://${process.env.INSTANCE_HOST}:${port}`
+        : `http://127.0.0.1:${port}`,
+      // One snapshot file per worker; they would overwrite each other otherwise
+      STATE_FILE: process.env.STATE_FILE
+        ? `${process.env.STATE_FILE}.${instanceId}`
+        : path.join(__dirname, 'data', `state.${instanceId}.json`)
+    });
+    worker.instanceId = instanceId;
+    slots.set(worker.id, slot);
+    log.info('Forked worker', { instanceId, port, pid: worker.process.pid });
+  }
+
+  function others(sender) {
+    return Object.values(cluster.workers).filter(worker => worker && worker !== sender && worker.isConnected());
+  }
+
+  function setEntry(namespace, key, value) {
+    if (!state[namespace]) state[namespace] = new Map();
+    if (value === null) state[namespace].delete(key);
+    else state[namespace].set(key, value);
+  }
+
+  cluster.on('message', (worker, msg) => {
+    if (!msg || typeof msg.cluster !== 'string') return;
+    switch (msg.cluster) {
+      case 'adapter':
+        adapterOwners.set(msg.message.uid, worker);
+        others(worker).forEach(other => other.send(msg));
+        break;
+      case 'adapter-response': {
+        const owner = adapterOwners.get(msg.requesterUid);
+        const targets = owner && owner.isConnected() ? [owner] : others(worker);
+        targets.forEach(target => target.send(msg));
+        break;
+      }
+      case 'state-set':
+        setEntry(msg.namespace, msg.key, msg.value);
+        others(worker).forEach(other => other.send(msg));
+        break;
+      case 'state-snapshot': {
+        const snapshot = {};
+        Object.entries(state).forEach(([namespace, entries]) => {
+          snapshot[namespace] = Object.fromEntries(entries);
+        });
+        worker.send({ cluster: 'state-snapshot', requestId: msg.requestId, state: snapshot });
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  cluster.on('exit', (worker, code, signal) => {
+    const slot = slots.get(worker.id);
+    slots.delete(worker.id);
+    adapterOwners.forEach((owner, uid) => { if (owner === worker) adapterOwners.delete(uid); });
+
+    // Whatever the dead worker owned is gone with it
+    OWNED_NAMESPACES.forEach(namespace => {
+      (state[namespace] || new Map()).forEach((value, key) => {
+        if (!value || value.instanceId !== worker.instanceId) return;
+        setEntry(namespace, key, null);
+        others(null).forEach(other => other.send({ cluster: 'state-set', namespace, key, value: null }));
+      });
+    });
+
+    if (stopping) return;
+    log.warn('Worker exited, forking a replacement', { instanceId: worker.instanceId, code, signal });
+    setTimeout(() => fork(slot), RESPAWN_DELAY_MS);
+  });
+
+  const stop = signal => {
+    stopping = true;
+    log.info('Stopping workers', { signal });
+    Object.values(cluster.workers).forEach(worker => worker && worker.process.kill(signal));
+  };
+  process.on('SIGINT', () => stop('SIGINT'));
+  process.on('SIGTERM', () => stop('SIGTERM'));
+
+  for (let slot = 0; slot < CLUSTER_WORKERS; slot++) fork(slot);
+}
+
+// Socket.IO adapter that carries cluster-adapter messages over the IPC channel
+// to the primary, which relays them to the other workers
+function createIpcAdapter(opts = {}) {
+  return class IpcAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, opts);
+      this.onIpcMessage = msg => {
+        if (!msg || msg.nsp !== nsp.name) return;
+        if (msg.cluster === 'adapter') this.onMessage(msg.message);
+        else if (msg.cluster === 'adapter-response') this.onResponse(msg.response);
+      };
+      process.on('message', this.onIpcMessage);
+    }
+
+    doPublish(message) {
+      process.send({ cluster: 'adapter', nsp: this.nsp.name, message });
+      return Promise.resolve('');
+    }
+
+    doPublishResponse(requesterUid, response) {
+      process.send({ cluster: 'adapter-response', nsp: this.nsp.name, requesterUid, response });
+      return Promise.resolve();
+    }
+
+    close() {
+      super.close();
+      process.off('message', this.onIpcMessage);
+    }
+  };
+}
+
+module.exports = {
+  isWorker: cluster.isWorker,
+  shouldSupervise,
+  runPrimary,
+  createIpcAdapter
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// ─── Logging ─────────────────────────────────────────────────────────────────
+// Leveled, structured logging. Each module gets a child logger:
+//
+//   const log = logger.child('upload');
+//   log.info('Upload init', { uploadId, totalChunks });
+//
+// Output is one JSON object per line (LOG_FORMAT=pretty for humans), with the
+// current request/event context — roomId, socketId, uploadId, … — merged in
+// automatically (see runWithContext / addContext).
+//
+// Levels: debug < info < warn < error < silent.
+//   LOG_LEVEL=info                 default for every module
+//   LOG_LEVELS=sync=debug,chat=warn per-module overrides
+// and setLevel(module, level) changes either at runtime (the server exposes it
+// as GET/PUT /admin/log-levels).
+//
+// Fields that carry what users typed or call themselves are replaced by a
+// short salted hash (same input → same hash within one process, so a user can
+// still be followed through the logs). LOG_REDACT=false turns that off.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const SENSITIVE_FIELDS = new Set(['username', 'message', 'text', 'password', 'reason']);
+
+const redactSalt = crypto.randomBytes(16);
+const redact = process.env.LOG_REDACT !== 'false';
+const pretty = process.env.LOG_FORMAT === 'pretty';
+
+let defaultLevel = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const moduleLevels = {};
+(process.env.LOG_LEVELS || '').split(',').forEach(pair => {
+  const [name, level] = pair.split('=').map(part => (part || '').trim());
+  if (name && LEVELS[level]) moduleLevels[name] = level;
+});
+
+const contextStorage = new AsyncLocalStorage();
+
+// Run fn with fields attached to every log line written inside it, including
+// from callbacks and promises it starts
+function runWithContext(fields, fn) {
+  const parent = contextStorage.getStore();
+  return contextStorage.run({ ...parent, ...fields }, fn);
+}
+
+// Add fields to the current context (e.g. the uploadId once a route knows it)
+function addContext(fields) {
+  const store = contextStorage.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+function redactValue(value) {
+  if (value === null || value === undefined || value === '') return value;
+  const digest = crypto.createHmac('sha256', redactSalt).update(String(value)).digest('hex');
+  return `[redacted:${digest.slice(0, 8)}]`;
+}
+
+function serializeError(err) {
+  return { name: err.name, message: err.message, code: err.code, stack: err.stack };
+}
+
+function prepareFields(fields) {
+  const out = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value === undefined) return;
+    if (value instanceof Error) out[key] = serializeError(value);
+    else if (redact && SENSITIVE_FIELDS.has(key)) out[key] = redactValue(value);
+    else out[key] = value;
+  });
+  return out;
+}
+
+function formatPretty(entry) {
+  const { time, level, module, msg, ...fields } = entry;
+  const extras = Object.entries(fields).map(([key, value]) =>
+    `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`
+  );
+  return `${time} ${level.toUpperCase().padEnd(5)} [${module}] ${msg}${extras.length ? ' ' + extras.join(' ') : ''}`;
+}
+
+function write(moduleName, level, msg, fields) {
+  if (LEVELS[level] < LEVELS[levelOf(moduleName)]) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    module: moduleName,
+    msg,
+    ...prepareFields({ ...contextStorage.getStore(), ...fields })
+  };
+  let line;
+  try {
+    line = pretty ? formatPretty(entry) : JSON.stringify(entry);
+  } catch (_) {
+    line = JSON.stringify({ time: entry.time, level, module: moduleName, msg, note: 'fields not serialisable' });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+function levelOf(moduleName) {
+  return moduleLevels[moduleName] || defaultLevel;
+}
+
+// setLevel('sync', 'debug') for one module, setLevel('*', 'warn') for the default
+function setLevel(moduleName, level) {
+  if (!LEVELS[level]) throw new Error(`Unknown log level "${level}" (expected ${Object.keys(LEVELS).join(', ')})`);
+  if (moduleName === '*') defaultLevel = level;
+  else moduleLevels[moduleName] = level;
+}
+
+function getLevels() {
+  return { '*': defaultLevel, ...moduleLevels };
+}
+
+// Logger for one module. The optional second argument to every method is an
+// object of fields; Error values in it are serialised with their stack.
+function child(moduleName) {
+  const logger = {};
+  Object.keys(LEVELS).filter(level => level !== 'silent').forEach(level => {
+    logger[level] = (msg, fields = {}) => write(moduleName, level, msg, fields);
+  });
+  return logger;
+}
+
+module.exports = {
+  LEVELS,
+  child,
+  runWithContext,
+  addContext,
+  setLevel,
+  getLevels
+};
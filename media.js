@@ -0,0 +1,116 @@
+const path = require('path');
+
+// ─── Upload content checks ───────────────────────────────────────────────────
+// The client's fileType picks the on-disk extension and the Content-Type we
+// serve, so it is only accepted from a fixed allowlist and then checked
+// against the file's real signature once the first chunk is assembled.
+
+// MIME type → extension on disk and the container its bytes must look like
+const KNOWN_TYPES = {
+  'video/mp4':        { ext: 'mp4',  container: 'iso-bmff' },
+  'video/x-m4v':      { ext: 'm4v',  container: 'iso-bmff' },
+  'video/quicktime':  { ext: 'mov',  container: 'iso-bmff' },
+  'video/3gpp':       { ext: '3gp',  container: 'iso-bmff' },
+  'video/3gpp2':      { ext: '3g2',  container: 'iso-bmff' },
+  'video/webm':       { ext: 'webm', container: 'matroska' },
+  'video/x-matroska': { ext: 'mkv',  container: 'matroska' },
+  'video/x-msvideo':  { ext: 'avi',  container: 'avi' },
+  'video/mp2t':       { ext: 'ts',   container: 'mpeg-ts' },
+  'video/x-ms-wmv':   { ext: 'wmv',  container: 'asf' },
+  'video/x-flv':      { ext: 'flv',  container: 'flv' }
+};
+
+// ALLOWED_VIDEO_TYPES="video/mp4,video/webm" narrows the list; unknown entries are ignored
+const ALLOWED_TYPES = (() => {
+  const configured = (process.env.ALLOWED_VIDEO_TYPES || '')
+    .split(',')
+    .map(type => type.trim().toLowerCase())
+    .filter(type => KNOWN_TYPES[type]);
+  const types = configured.length > 0 ? configured : Object.keys(KNOWN_TYPES);
+  return Object.fromEntries(types.map(type => [type, KNOWN_TYPES[type]]));
+})();
+
+// "Video/MP4; codecs=…" → "video/mp4"
+function normalizeType(fileType) {
+  return String(fileType || '').split(';')[0].trim().toLowerCase();
+}
+
+// { type, ext, container } for an allowed MIME type, otherwise null
+function resolveType(fileType) {
+  const type = normalizeType(fileType);
+  const entry = ALLOWED_TYPES[type];
+  return entry ? { type, ...entry } : null;
+}
+
+// Bytes needed from the start of a file for sniffContainer to decide
+const SNIFF_BYTES = 4096;
+
+// ASF (WMV) files open with the ASF Header Object GUID
+const ASF_HEADER_GUID = Buffer.from('3026b2758e66cf11a6d900aa0062ce6c', 'hex');
+
+// First boxes seen in ISO-BMFF files; old QuickTime files may skip ftyp
+const ISO_BMFF_FIRST_BOXES = new Set(['ftyp', 'styp', 'moov', 'mdat', 'free', 'skip', 'wide', 'pnot']);
+
+// A known first box with a size that can hold it (0 = to end of file, 1 = 64-bit
+// size follows); an ftyp must also carry a printable major brand
+function isIsoBmff(buf) {
+  if (buf.length < 8) return false;
+  const size = buf.readUInt32BE(0);
+  const type = buf.toString('latin1', 4, 8);
+  if (!ISO_BMFF_FIRST_BOXES.has(type) || (size > 1 && size < 8)) return false;
+  if (type === 'ftyp') return size >= 16 && buf.length >= 12 && /^[\x20-\x7e]{4}$/.test(buf.toString('latin1', 8, 12));
+  return true;
+}
+
+// MPEG-TS packets start with 0x47 every 188 bytes (192 for M2TS, after a
+// 4-byte timecode); check up to four packets' worth, and at least two so a
+// stray 0x47 at the start isn't enough
+function isTransportStream(buf, packetSize, syncOffset) {
+  let packets = 0;
+  for (let pos = syncOffset; pos < buf.length && packets < 4; pos += packetSize) {
+    if (buf[pos] !== 0x47) return false;
+    packets++;
+  }
+  return packets >= 2;
+}
+
+// Container family from the first bytes of a file, or null if unrecognised
+function sniffContainer(buf) {
+  if (buf.length >= 12 && buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'AVI ') {
+    return 'avi';
+  }
+  if (buf.length >= 4 && buf.readUInt32BE(0) === 0x1A45DFA3) return 'matroska'; // EBML header (WebM too)
+  if (buf.length >= 16 && buf.subarray(0, 16).equals(ASF_HEADER_GUID)) return 'asf';
+  if (buf.length >= 4 && buf.toString('latin1', 0, 3) === 'FLV' && buf[3] === 1) return 'flv';
+  if (isIsoBmff(buf)) return 'iso-bmff';
+  if (isTransportStream(buf, 188, 0) || isTransportStream(buf, 192, 4)) return 'mpeg-ts';
+  return null;
+}
+
+// ─── Scanner hook ────────────────────────────────────────────────────────────
+// UPLOAD_SCANNER names a module (resolved from the working directory) that
+// exports an async function run once per upload before stream-ready:
+//
+//   scan({ uploadId, fileName, fileType, fileSize, container,
+//          filePath, availableBytes, assembled }) → true | { ok, reason }
+//
+// filePath may still be growing; only its first availableBytes are final.
+// Anything other than true / { ok: true }, or a throw, rejects the upload.
+function loadScanner(spec = process.env.UPLOAD_SCANNER) {
+  if (!spec) return null;
+  const scanner = require(path.resolve(spec));
+  const scan = typeof scanner === 'function' ? scanner : scanner.scan;
+  if (typeof scan !== 'function') {
+    throw new Error(`UPLOAD_SCANNER module ${spec} must export a function (or { scan })`);
+  }
+  return scan;
+}
+
+module.exports = {
+  ALLOWED_TYPES,
+  SNIFF_BYTES,
+  normalizeType,
+  resolveType,
+  sniffContainer,
+  loadScanner
+};
@@ -0,0 +1,135 @@
+// ─── Prometheus metrics ──────────────────────────────────────────────────────
+// A small registry that renders the Prometheus text exposition format
+// (version 0.0.4). Three kinds of metric, all with optional labels:
+//
+//   counter    inc(labels?, value?)           only goes up
+//   gauge      set/inc/dec(labels?, value?)   or a collect() hook run per scrape
+//   histogram  observe(labels?, value)        cumulative buckets + _sum/_count
+//
+// Labels are passed as a plain object, e.g. users.set({ role: 'host' }, 1).
+// Counters, histograms and gauges with no series yet (nobody touched them, or
+// collect() found nothing to count) render as a single zero series so
+// dashboards see 0 instead of "no data".
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelKey(labels) {
+  const keys = Object.keys(labels || {}).sort();
+  if (keys.length === 0) return '';
+  return `{${keys.map(key => `${key}="${escapeLabelValue(labels[key])}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    if (metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter({ name, help }) {
+    const values = new Map(); // labelKey → value
+    return register({
+      name, help, type: 'counter',
+      inc(labels, value = 1) {
+        if (typeof labels === 'number') { value = labels; labels = {}; }
+        const key = labelKey(labels);
+        values.set(key, (values.get(key) || 0) + value);
+      },
+      lines() {
+        if (values.size === 0) return [`${name} 0`];
+        return [...values].map(([key, value]) => `${name}${key} ${formatValue(value)}`);
+      }
+    });
+  }
+
+  // collect(gauge) runs before every render; use it for values that are
+  // cheaper to count on demand than to keep up to date (rooms, uploads, …)
+  function gauge({ name, help, collect }) {
+    const values = new Map();
+    const metric = register({
+      name, help, type: 'gauge',
+      set(labels, value) {
+        if (typeof labels === 'number') { value = labels; labels = {}; }
+        values.set(labelKey(labels), value);
+      },
+      inc(labels, value = 1) {
+        if (typeof labels === 'number') { value = labels; labels = {}; }
+        const key = labelKey(labels);
+        values.set(key, (values.get(key) || 0) + value);
+      },
+      dec(labels, value = 1) {
+        if (typeof labels === 'number') { value = labels; labels = {}; }
+        metric.inc(labels, -value);
+      },
+      lines() {
+        if (collect) collect(metric);
+        if (values.size === 0) return [`${name} 0`];
+        return [...values].map(([key, value]) => `${name}${key} ${formatValue(value)}`);
+      }
+    });
+    return metric;
+  }
+
+  function histogram({ name, help, buckets = DEFAULT_BUCKETS }) {
+    const series = new Map(); // labelKey → { labels, counts, sum, count }
+    return register({
+      name, help, type: 'histogram',
+      observe(labels, value) {
+        if (typeof labels === 'number') { value = labels; labels = {}; }
+        if (!Number.isFinite(value)) return;
+        const key = labelKey(labels);
+        if (!series.has(key)) series.set(key, { labels: labels || {}, counts: buckets.map(() => 0), sum: 0, count: 0 });
+        const entry = series.get(key);
+        buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i]++; });
+        entry.sum += value;
+        entry.count++;
+      },
+      lines() {
+        if (series.size === 0) {
+          return [
+            ...buckets.map(bound => `${name}_bucket${labelKey({ le: formatValue(bound) })} 0`),
+            `${name}_bucket{le="+Inf"} 0`,
+            `${name}_sum 0`,
+            `${name}_count 0`
+          ];
+        }
+        const out = [];
+        series.forEach((entry, key) => {
+          buckets.forEach((bound, i) => {
+            out.push(`${name}_bucket${labelKey({ ...entry.labels, le: formatValue(bound) })} ${entry.counts[i]}`);
+          });
+          out.push(`${name}_bucket${labelKey({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+          out.push(`${name}_sum${key} ${entry.sum}`);
+          out.push(`${name}_count${key} ${entry.count}`);
+        });
+        return out;
+      }
+    });
+  }
+
+  function render() {
+    return metrics.map(metric => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.lines()
+    ].join('\n')).join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render, contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+}
+
+module.exports = { createRegistry, DEFAULT_BUCKETS };
@@ -0,0 +1,367 @@
+const fsp = require('fs').promises;
+
+// ─── MP4 / MOV (ISO-BMFF) box parsing ───────────────────────────────────────
+// Just enough of the container format to turn a playback time into the byte
+// offset of the keyframe a player needs in order to start from that time.
+// Works on a growing file: callers pass how many bytes are safely on disk and
+// get back "incomplete" until the moov box has fully arrived.
+
+const BOX_HEADER_SIZE = 16; // largest header we ever need to read (64-bit size)
+// The moov is read into memory whole; its declared size comes from the
+// upload, so anything bigger than a real one is treated as unsupported
+const MAX_MOOV_BYTES = 64 * 1024 * 1024;
+
+function isBoxType(type) {
+  return /^[\x20-\x7e]{4}$/.test(type);
+}
+
+// Child boxes of a parent already in memory, between start and end
+function childBoxes(buf, start, end) {
+  const boxes = [];
+  let pos = start;
+  while (pos + 8 <= end) {
+    let size = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    let headerSize = 8;
+    if (size === 1) {
+      if (pos + 16 > end) break;
+      size = Number(buf.readBigUInt64BE(pos + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - pos; // box runs to the end of its parent
+    }
+    if (size < headerSize || pos + size > end) break;
+    boxes.push({ type, start: pos, contentStart: pos + headerSize, end: pos + size });
+    pos += size;
+  }
+  return boxes;
+}
+
+function findChild(buf, parent, type) {
+  return childBoxes(buf, parent.contentStart, parent.end).find(box => box.type === type) || null;
+}
+
+function findPath(buf, parent, types) {
+  let box = parent;
+  for (const type of types) {
+    box = findChild(buf, box, type);
+    if (!box) return null;
+  }
+  return box;
+}
+
+// Top-level boxes of a file, reading only their headers. Stops at the first box
+// whose header lies beyond `availableBytes`; `nextOffset` is where it starts.
+async function scanTopLevelBoxes(filePath, availableBytes, fileSize) {
+  const fh = await fsp.open(filePath, 'r');
+  try {
+    const boxes = [];
+    const header = Buffer.alloc(BOX_HEADER_SIZE);
+    let pos = 0;
+
+    while (pos < fileSize && pos + 8 <= availableBytes) {
+      const { bytesRead } = await fh.read(header, 0, BOX_HEADER_SIZE, pos);
+      if (bytesRead < 8) break;
+
+      let size = header.readUInt32BE(0);
+      const type = header.toString('latin1', 4, 8);
+      let headerSize = 8;
+      if (!isBoxType(type)) throw new Error(`Not an ISO-BMFF box at byte ${pos}`);
+      if (size === 1) {
+        if (bytesRead < 16) break;
+        size = Number(header.readBigUInt64BE(8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = fileSize - pos; // last box, runs to end of file
+      }
+      if (size < headerSize) throw new Error(`Invalid ${type} box size ${size} at byte ${pos}`);
+
+      boxes.push({ type, offset: pos, size, headerSize });
+      pos += size;
+    }
+
+    return { boxes, nextOffset: pos };
+  } finally {
+    await fh.close();
+  }
+}
+
+// ─── Sample tables ───────────────────────────────────────────────────────────
+
+function readStts(buf, box) {
+  const count = buf.readUInt32BE(box.contentStart + 4);
+  const entries = [];
+  for (let i = 0, p = box.contentStart + 8; i < count; i++, p += 8) {
+    entries.push({ count: buf.readUInt32BE(p), delta: buf.readUInt32BE(p + 4) });
+  }
+  return entries;
+}
+
+function readStsc(buf, box) {
+  const count = buf.readUInt32BE(box.contentStart + 4);
+  const entries = [];
+  for (let i = 0, p = box.contentStart + 8; i < count; i++, p += 12) {
+    entries.push({ firstChunk: buf.readUInt32BE(p), samplesPerChunk: buf.readUInt32BE(p + 4) });
+  }
+  return entries;
+}
+
+function readSampleSizes(buf, stbl) {
+  const stsz = findChild(buf, stbl, 'stsz');
+  if (stsz) {
+    const uniform = buf.readUInt32BE(stsz.contentStart + 4);
+    const count = buf.readUInt32BE(stsz.contentStart + 8);
+    const sizes = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+      sizes[i] = uniform || buf.readUInt32BE(stsz.contentStart + 12 + i * 4);
+    }
+    return sizes;
+  }
+
+  const stz2 = findChild(buf, stbl, 'stz2');
+  if (stz2) {
+    const fieldSize = buf.readUInt8(stz2.contentStart + 7);
+    const count = buf.readUInt32BE(stz2.contentStart + 8);
+    const sizes = new Float64Array(count);
+    const base = stz2.contentStart + 12;
+    for (let i = 0; i < count; i++) {
+      if (fieldSize === 4) {
+        const byte = buf.readUInt8(base + (i >> 1));
+        sizes[i] = i % 2 === 0 ? byte >> 4 : byte & 0x0f;
+      } else if (fieldSize === 8) {
+        sizes[i] = buf.readUInt8(base + i);
+      } else {
+        sizes[i] = buf.readUInt16BE(base + i * 2);
+      }
+    }
+    return sizes;
+  }
+
+  return null;
+}
+
+// Chunk offsets from stco (32-bit) or co64 (64-bit)
+function readChunkOffsets(buf, stbl) {
+  const stco = findChild(buf, stbl, 'stco');
+  const co64 = stco ? null : findChild(buf, stbl, 'co64');
+  const box = stco || co64;
+  if (!box) return null;
+
+  const count = buf.readUInt32BE(box.contentStart + 4);
+  const entriesStart = box.contentStart + 8;
+  const offsets = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    offsets[i] = co64
+      ? Number(buf.readBigUInt64BE(entriesStart + i * 8))
+      : buf.readUInt32BE(entriesStart + i * 4);
+  }
+  return { offsets, is64: !!co64 };
+}
+
+function readSyncSamples(buf, stbl) {
+  const stss = findChild(buf, stbl, 'stss');
+  if (!stss) return null; // no stss means every sample is a sync sample
+  const count = buf.readUInt32BE(stss.contentStart + 4);
+  const samples = new Uint32Array(count);
+  for (let i = 0; i < count; i++) samples[i] = buf.readUInt32BE(stss.contentStart + 8 + i * 4);
+  return samples;
+}
+
+function parseTrack(buf, trak) {
+  const mdia = findChild(buf, trak, 'mdia');
+  if (!mdia) return null;
+
+  const mdhd = findChild(buf, mdia, 'mdhd');
+  const hdlr = findChild(buf, mdia, 'hdlr');
+  const stbl = findPath(buf, mdia, ['minf', 'stbl']);
+  if (!mdhd || !stbl) return null;
+
+  const version = buf.readUInt8(mdhd.contentStart);
+  const timescale = buf.readUInt32BE(mdhd.contentStart + (version === 1 ? 20 : 12));
+  const handler = hdlr ? buf.toString('latin1', hdlr.contentStart + 8, hdlr.contentStart + 12) : null;
+
+  const sttsBox = findChild(buf, stbl, 'stts');
+  const stscBox = findChild(buf, stbl, 'stsc');
+  const sizes = readSampleSizes(buf, stbl);
+  const chunks = readChunkOffsets(buf, stbl);
+  if (!timescale || !sttsBox || !stscBox || !sizes || !chunks) return null;
+
+  return {
+    handler,
+    timescale,
+    stts: readStts(buf, sttsBox),
+    stsc: readStsc(buf, stscBox),
+    sizes,
+    chunkOffsets: chunks.offsets,
+    syncSamples: readSyncSamples(buf, stbl)
+  };
+}
+
+// Byte offset of every sample, walking the sample-to-chunk table
+function sampleOffsets(track) {
+  const { stsc, sizes, chunkOffsets } = track;
+  const offsets = new Float64Array(sizes.length);
+  let sample = 0;
+
+  for (let e = 0; e < stsc.length && sample < sizes.length; e++) {
+    const firstChunk = stsc[e].firstChunk - 1;
+    const lastChunk = e + 1 < stsc.length ? stsc[e + 1].firstChunk - 1 : chunkOffsets.length;
+    for (let c = firstChunk; c < lastChunk && sample < sizes.length; c++) {
+      let offset = chunkOffsets[c];
+      for (let s = 0; s < stsc[e].samplesPerChunk && sample < sizes.length; s++) {
+        offsets[sample] = offset;
+        offset += sizes[sample];
+        sample++;
+      }
+    }
+  }
+  return offsets;
+}
+
+// Decode time (in seconds) of every sample
+function sampleTimes(track) {
+  const times = new Float64Array(track.sizes.length);
+  let sample = 0;
+  let ticks = 0;
+  for (const { count, delta } of track.stts) {
+    for (let i = 0; i < count && sample < times.length; i++) {
+      times[sample++] = ticks / track.timescale;
+      ticks += delta;
+    }
+  }
+  return times;
+}
+
+// Keyframe index for the video track (or the first usable track)
+function buildIndexFromMoov(buf, headerSize) {
+  const moov = { contentStart: headerSize, end: buf.length };
+  const tracks = childBoxes(buf, moov.contentStart, moov.end)
+    .filter(box => box.type === 'trak')
+    .map(trak => parseTrack(buf, trak))
+    .filter(track => track && track.sizes.length > 0);
+
+  const track = tracks.find(t => t.handler === 'vide') || tracks[0];
+  if (!track) return null;
+
+  const offsets = sampleOffsets(track);
+  const times = sampleTimes(track);
+  const keys = track.syncSamples
+    ? Array.from(track.syncSamples, n => n - 1).filter(i => i >= 0 && i < offsets.length)
+    : Array.from({ length: offsets.length }, (_, i) => i);
+  if (keys.length === 0) return null;
+
+  const index = {
+    times: new Float64Array(keys.length),
+    offsets: new Float64Array(keys.length),
+    ends: new Float64Array(keys.length)
+  };
+  keys.forEach((sample, k) => {
+    index.times[k] = times[sample];
+    index.offsets[k] = offsets[sample];
+    index.ends[k] = offsets[sample] + track.sizes[sample];
+  });
+  return index;
+}
+
+function indexFromMoovBuffer(buf, headerSize) {
+  try {
+    const index = buildIndexFromMoov(buf, headerSize);
+    return index ? { status: 'ready', index } : { status: 'unsupported' };
+  } catch (_) {
+    return { status: 'unsupported' };
+  }
+}
+
+// Build a keyframe index for a (possibly still growing) MP4/MOV file.
+//   { status: 'ready', index }         moov parsed
+//   { status: 'incomplete', needBytes } moov not fully on disk yet
+//     + moovAtEnd/tailOffset when mdat comes first: moov lives somewhere in
+//       [tailOffset, fileSize), after the media data ("non-faststart" file)
+//   { status: 'unsupported' }          not ISO-BMFF, fragmented, or no usable track
+async function buildSeekIndex(filePath, availableBytes, fileSize) {
+  let scan;
+  try {
+    scan = await scanTopLevelBoxes(filePath, availableBytes, fileSize);
+  } catch (_) {
+    return { status: 'unsupported' };
+  }
+
+  const moov = scan.boxes.find(box => box.type === 'moov');
+  if (!moov) {
+    if (scan.nextOffset >= fileSize) return { status: 'unsupported' };
+    const result = { status: 'incomplete', needBytes: scan.nextOffset + BOX_HEADER_SIZE };
+    if (scan.boxes.some(box => box.type === 'mdat')) {
+      result.moovAtEnd = true;
+      result.tailOffset = scan.nextOffset;
+    }
+    return result;
+  }
+  if (moov.size > MAX_MOOV_BYTES) return { status: 'unsupported' };
+  if (moov.offset + moov.size > availableBytes) {
+    return { status: 'incomplete', needBytes: moov.offset + moov.size };
+  }
+
+  const fh = await fsp.open(filePath, 'r');
+  let buf;
+  try {
+    buf = Buffer.alloc(moov.size);
+    await fh.read(buf, 0, moov.size, moov.offset);
+  } finally {
+    await fh.close();
+  }
+
+  return indexFromMoovBuffer(buf, moov.headerSize);
+}
+
+// Same, for a file whose moov sits after the media data. `read(position, length)`
+// resolves to a Buffer — the caller decides where those bytes come from (the
+// tail usually arrives out of order, ahead of sequential assembly).
+async function buildSeekIndexFromTail(read, tailOffset, fileSize) {
+  let pos = tailOffset;
+  while (pos + 8 <= fileSize) {
+    const header = await read(pos, Math.min(BOX_HEADER_SIZE, fileSize - pos));
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    let headerSize = 8;
+    if (!isBoxType(type)) return { status: 'unsupported' };
+    if (size === 1) {
+      if (header.length < 16) return { status: 'unsupported' }; // 64-bit size cut off by EOF
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = fileSize - pos;
+    }
+    if (size < headerSize || pos + size > fileSize) return { status: 'unsupported' };
+
+    if (type === 'moov') {
+      if (size > MAX_MOOV_BYTES) return { status: 'unsupported' };
+      return indexFromMoovBuffer(await read(pos, size), headerSize);
+    }
+    pos += size;
+  }
+  return { status: 'unsupported' };
+}
+
+// Keyframe at or before `seconds`: { time, offset, end } where end is the first
+// byte after that keyframe sample — the player needs everything up to there.
+function keyframeForTime(index, seconds) {
+  let lo = 0;
+  let hi = index.times.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (index.times[mid] <= seconds) lo = mid;
+    else hi = mid - 1;
+  }
+  return { time: index.times[lo], offset: index.offsets[lo], end: index.ends[lo] };
+}
+
+module.exports = {
+  childBoxes,
+  findChild,
+  findPath,
+  scanTopLevelBoxes,
+  readChunkOffsets,
+  buildSeekIndex,
+  buildSeekIndexFromTail,
+  keyframeForTime
+};
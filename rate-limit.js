@@ -0,0 +1,62 @@
+// ─── Per-socket rate limiting ────────────────────────────────────────────────
+// Token buckets, one per (socket, event). Each bucket holds up to `burst`
+// tokens and refills at `perSecond`; an event that finds the bucket empty is
+// dropped. Events without their own entry share the 'default' limits.
+
+const EVENT_LIMITS = {
+  default:                   { burst: 20, perSecond: 10 },
+  joinRoom:                  { burst: 5,  perSecond: 0.2 },  // also slows password guessing
+  'create-room':             { burst: 3,  perSecond: 0.1 },
+  heartbeat:                 { burst: 10, perSecond: 2 },
+  sendMessage:               { burst: 5,  perSecond: 1 },
+  editMessage:               { burst: 5,  perSecond: 1 },
+  reactToMessage:            { burst: 10, perSecond: 2 },
+  'chat-history-request':    { burst: 5,  perSecond: 1 },
+  'create-poll':             { burst: 3,  perSecond: 0.2 },
+  'vote-poll':               { burst: 10, perSecond: 2 },
+  'timeline-comment':        { burst: 10, perSecond: 2 },  // reactions come in bursts
+  'timeline-comments-request': { burst: 5, perSecond: 1 },
+  videoStateChange:          { burst: 30, perSecond: 10 },
+  videoSeekOperation:        { burst: 30, perSecond: 10 }, // scrubbing emits a lot
+  'fallback-sync-state':     { burst: 30, perSecond: 10 },
+  'set-playback-rate':       { burst: 10, perSecond: 2 },
+  'set-audio-state':         { burst: 10, perSecond: 2 },
+  'set-loop-range':          { burst: 10, perSecond: 2 },
+  'start-party':             { burst: 3,  perSecond: 0.2 },
+  signal:                    { burst: 60, perSecond: 20 },  // trickle ICE arrives in bursts
+  'playback-buffering':      { burst: 10, perSecond: 2 },
+  'playback-ready':          { burst: 10, perSecond: 2 },
+  'promote-user':            { burst: 10, perSecond: 1 },
+  'demote-user':             { burst: 10, perSecond: 1 },
+  'transfer-host':           { burst: 3,  perSecond: 0.2 },
+  'kick-user':               { burst: 10, perSecond: 1 },
+  'ban-user':                { burst: 10, perSecond: 1 },
+  'mute-user':               { burst: 10, perSecond: 1 },
+  'unmute-user':             { burst: 10, perSecond: 1 }
+};
+
+// One socket's buckets. take(event) → { allowed, retryAfterMs }
+function createRateLimiter(limits = EVENT_LIMITS) {
+  const buckets = new Map();
+
+  return {
+    take(event, now = Date.now()) {
+      const { burst, perSecond } = limits[event] || limits.default;
+      let bucket = buckets.get(event);
+      if (!bucket) {
+        bucket = { tokens: burst, updatedAt: now };
+        buckets.set(event, bucket);
+      }
+
+      bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * perSecond);
+      bucket.updatedAt = now;
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return { allowed: true, retryAfterMs: 0 };
+      }
+      return { allowed: false, retryAfterMs: Math.ceil((1 - bucket.tokens) / perSecond * 1000) };
+    }
+  };
+}
+
+module.exports = { EVENT_LIMITS, createRateLimiter };
@@ -0,0 +1,272 @@
+// ─── Socket event schemas ────────────────────────────────────────────────────
+// One declarative schema per inbound Socket.IO event. server.js checks every
+// payload against its schema before the handler runs, so handlers can rely on
+// the types declared here. Keys a schema doesn't mention are passed through.
+//
+// Field rules:
+//   type      'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array'
+//   optional  may be missing (undefined)
+//   nullable  may be null
+//   min, max  length for strings and arrays, value for numbers
+//   props     field rules of a nested object
+//   items     rule every element of an array must follow
+
+const MAX_CHAT_LENGTH = 2000;
+const MAX_NAME_LENGTH = 50;
+const MAX_REASON_LENGTH = 200;
+const MAX_POLL_OPTIONS = 10;
+
+const ROOM_ID = { type: 'string', min: 1, max: 64 };
+const SOCKET_ID = { type: 'string', min: 1, max: 64 };
+const ID = { type: 'string', min: 1, max: 64 };
+const TIMESTAMP = { type: 'number', min: 0 };
+const MEDIA_TIME = { type: 'number', min: 0, max: 7 * 24 * 3600 };
+const PLAYBACK_RATE = { type: 'number', min: 0.25, max: 4 };
+
+const optional = rule => ({ ...rule, optional: true, nullable: true });
+
+const roomOnly = { roomId: ROOM_ID };
+const userAction = { roomId: ROOM_ID, userId: SOCKET_ID };
+const userActionWithReason = { ...userAction, reason: optional({ type: 'string', max: MAX_REASON_LENGTH }) };
+
+// null = the event carries no payload worth checking
+const EVENT_SCHEMAS = {
+  joinRoom: {
+    roomId: ROOM_ID,
+    username: { type: 'string', min: 1, max: MAX_NAME_LENGTH },
+    isHost: optional({ type: 'boolean' }),
+    isChatOnly: optional({ type: 'boolean' }),
+    hostToken: optional({ type: 'string', max: 2048 }),
+    sessionToken: optional({ type: 'string', max: 512 }),
+    password: optional({ type: 'string', max: 200 })
+  },
+  heartbeat: {
+    roomId: optional(ROOM_ID),
+    timestamp: optional(TIMESTAMP),
+    isHost: optional({ type: 'boolean' }),
+    lastAck: optional({
+      type: 'object',
+      props: { clientTime: optional(TIMESTAMP), receivedAt: optional(TIMESTAMP) }
+    })
+  },
+  'peer-id': {
+    roomId: ROOM_ID,
+    peerId: { type: 'string', min: 1, max: 128 },
+    isHost: optional({ type: 'boolean' }),
+    previousSocketId: optional(SOCKET_ID)
+  },
+  videoStateChange: {
+    roomId: ROOM_ID,
+    videoState: {
+      type: 'object',
+      props: {
+        currentTime: MEDIA_TIME,
+        isPlaying: { type: 'boolean' },
+        playbackRate: optional(PLAYBACK_RATE),
+        timestamp: optional(TIMESTAMP)
+      }
+    }
+  },
+  videoSeekOperation: {
+    roomId: ROOM_ID,
+    seekTime: MEDIA_TIME,
+    videoDuration: optional(MEDIA_TIME),
+    isPlaying: optional({ type: 'boolean' }),
+    playbackRate: optional(PLAYBACK_RATE),
+    sourceTimestamp: optional(TIMESTAMP)
+  },
+  'fallback-sync-state': {
+    roomId: ROOM_ID,
+    currentTime: MEDIA_TIME,
+    isPlaying: { type: 'boolean' },
+    playbackRate: optional(PLAYBACK_RATE),
+    timestamp: optional(TIMESTAMP),
+    targetSocketId: optional(SOCKET_ID)
+  },
+  'webrtc-connection-failed': { roomId: ROOM_ID, peerId: optional({ type: 'string', max: 128 }) },
+  'request-reconnection': { roomId: ROOM_ID, viewerPeerId: optional({ type: 'string', max: 128 }) },
+  'connection-health-check': { roomId: ROOM_ID, targetSocketId: optional(SOCKET_ID) },
+  signal: {
+    roomId: ROOM_ID,
+    targetSocketId: SOCKET_ID,
+    signal: { type: 'object' },
+    channel: optional({ type: 'string', min: 1, max: 32 })  // e.g. 'stream', 'voice', 'webcam'
+  },
+
+  sendMessage: {
+    roomId: ROOM_ID,
+    message: { type: 'string', min: 1, max: MAX_CHAT_LENGTH }
+  },
+  'chat-history-request': {
+    roomId: ROOM_ID,
+    before: optional(ID),
+    limit: optional({ type: 'integer', min: 1, max: 200 })
+  },
+  editMessage: { roomId: ROOM_ID, messageId: ID, text: { type: 'string', min: 1, max: MAX_CHAT_LENGTH } },
+  deleteMessage: { roomId: ROOM_ID, messageId: ID },
+  reactToMessage: { roomId: ROOM_ID, messageId: ID, emoji: { type: 'string', min: 1, max: 32 } },
+  'timeline-comment': {
+    roomId: ROOM_ID,
+    text: optional({ type: 'string', min: 1, max: MAX_CHAT_LENGTH }),
+    emoji: optional({ type: 'string', min: 1, max: 32 })
+  },
+  'timeline-comments-request': {
+    roomId: ROOM_ID,
+    uploadId: optional(ID),
+    from: optional(MEDIA_TIME),
+    to: optional(MEDIA_TIME)
+  },
+
+  'promote-user': userAction,
+  'demote-user': userAction,
+  'transfer-host': userAction,
+  'kick-user': userActionWithReason,
+  'ban-user': userActionWithReason,
+  'mute-user': userActionWithReason,
+  'unmute-user': userAction,
+
+  'streaming-status-update': {
+    roomId: ROOM_ID,
+    streaming: { type: 'boolean' },
+    fileName: optional({ type: 'string', max: 255 }),
+    fileType: optional({ type: 'string', max: 100 })
+  },
+  'set-subtitle-settings': {
+    roomId: ROOM_ID,
+    trackId: optional(ID),
+    offset: optional({ type: 'number', min: -600, max: 600 })
+  },
+  'set-playback-rate': {
+    roomId: ROOM_ID,
+    playbackRate: PLAYBACK_RATE,
+    currentTime: optional(MEDIA_TIME),  // where the host was when it changed; projected otherwise
+    timestamp: optional(TIMESTAMP)
+  },
+  'set-loop-range': { roomId: ROOM_ID, start: optional(MEDIA_TIME), end: optional(MEDIA_TIME) },
+  'set-audio-state': {
+    roomId: ROOM_ID,
+    muted: { type: 'boolean' },
+    volume: optional({ type: 'number', min: 0, max: 1 })  // host's level, normalised
+  },
+  'start-party': roomOnly,
+  'set-wait-for-everyone': {
+    roomId: ROOM_ID,
+    enabled: { type: 'boolean' },
+    timeoutMs: optional({ type: 'integer', min: 1000, max: 10 * 60 * 1000 })
+  },
+  'playback-buffering': { roomId: ROOM_ID, currentTime: optional(MEDIA_TIME) },
+  'playback-ready': { roomId: ROOM_ID, currentTime: optional(MEDIA_TIME) },
+  streamingAboutToStart: roomOnly,
+  hostVideoPlayPause: { roomId: ROOM_ID, paused: { type: 'boolean' } },
+
+  'create-poll': {
+    roomId: ROOM_ID,
+    question: { type: 'string', min: 1, max: 200 },
+    options: {
+      type: 'array',
+      min: 2,
+      max: MAX_POLL_OPTIONS,
+      items: {
+        type: 'object',
+        props: {
+          text: { type: 'string', min: 1, max: 100 },
+          // Applied when this option wins: seek (time), skip (queue-next) or
+          // play-next (move uploadId to the front of the queue)
+          action: optional({
+            type: 'object',
+            props: {
+              type: { type: 'string', min: 1, max: 16 },
+              time: optional(MEDIA_TIME),
+              uploadId: optional(ID)
+            }
+          })
+        }
+      }
+    },
+    multiple: optional({ type: 'boolean' }),
+    anonymous: optional({ type: 'boolean' }),
+    durationMs: optional({ type: 'integer', min: 5000, max: 24 * 60 * 60 * 1000 })
+  },
+  'vote-poll': {
+    roomId: ROOM_ID,
+    pollId: ID,
+    optionIds: { type: 'array', max: MAX_POLL_OPTIONS, items: ID } // [] withdraws the vote
+  },
+  'close-poll': { roomId: ROOM_ID, pollId: ID },
+
+  'queue-remove': { roomId: ROOM_ID, uploadId: ID },
+  'queue-reorder': { roomId: ROOM_ID, uploadId: ID, toIndex: { type: 'integer', min: 0 } },
+  'queue-next': roomOnly,
+  videoEnded: { roomId: ROOM_ID, uploadId: optional(ID) },
+
+  'create-room': null
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function checkField(value, rule, path, errors) {
+  if (value === undefined) {
+    if (!rule.optional) errors.push(`${path} is required`);
+    return;
+  }
+  if (value === null) {
+    if (!rule.nullable) errors.push(`${path} must not be null`);
+    return;
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return errors.push(`${path} must be a string`);
+      if (rule.min !== undefined && value.length < rule.min) errors.push(`${path} must be at least ${rule.min} characters`);
+      if (rule.max !== undefined && value.length > rule.max) errors.push(`${path} must be at most ${rule.max} characters`);
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return errors.push(`${path} must be a finite number`);
+      if (rule.type === 'integer' && !Number.isInteger(value)) return errors.push(`${path} must be an integer`);
+      if (rule.min !== undefined && value < rule.min) errors.push(`${path} must be >= ${rule.min}`);
+      if (rule.max !== undefined && value > rule.max) errors.push(`${path} must be <= ${rule.max}`);
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') errors.push(`${path} must be a boolean`);
+      break;
+    case 'object':
+      if (typeOf(value) !== 'object') return errors.push(`${path} must be an object`);
+      checkObject(value, rule.props || {}, `${path}.`, errors);
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return errors.push(`${path} must be an array`);
+      if (rule.min !== undefined && value.length < rule.min) errors.push(`${path} must have at least ${rule.min} items`);
+      if (rule.max !== undefined && value.length > rule.max) return errors.push(`${path} must have at most ${rule.max} items`);
+      if (rule.items) value.forEach((item, i) => checkField(item, rule.items, `${path}[${i}]`, errors));
+      break;
+    default:
+      errors.push(`${path} has no usable rule`);
+  }
+}
+
+function checkObject(value, props, prefix, errors) {
+  Object.entries(props).forEach(([key, rule]) => checkField(value[key], rule, `${prefix}${key}`, errors));
+}
+
+function isKnownEvent(event) {
+  return Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, event);
+}
+
+// List of problems with an event's payload (empty when it's fine)
+function validateEvent(event, payload) {
+  if (!isKnownEvent(event)) return [`Unknown event "${event}"`];
+  const props = EVENT_SCHEMAS[event];
+  if (props === null) return [];
+  if (typeOf(payload) !== 'object') return ['payload must be an object'];
+
+  const errors = [];
+  checkObject(payload, props, '', errors);
+  return errors;
+}
+
+module.exports = { EVENT_SCHEMAS, MAX_CHAT_LENGTH, isKnownEvent, validateEvent };
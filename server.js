@@ -6,11 +6,54 @@ const path = require('path');
 const fs = require('fs');
 const fsp = fs.promises;
 const crypto = require('crypto');
+const { promisify } = require('util');
 const multer = require('multer');
+const { createStore } = require('./store');
+const mp4 = require('./mp4');
+const subtitles = require('./subtitles');
+const media = require('./media');
+const { isKnownEvent, validateEvent, MAX_CHAT_LENGTH } = require('./schemas');
+const { createRateLimiter } = require('./rate-limit');
+const { createRegistry } = require('./metrics');
+const { createSharedState } = require('./shared-state');
+const clusterMode = require('./cluster');
+const logger = require('./logger');
+
+// One logger per area so levels can be tuned separately (LOG_LEVELS=sync=debug)
+const log = logger.child('server');
+const stateLog = logger.child('state');
+const uploadLog = logger.child('upload');
+const roomLog = logger.child('rooms');
+const chatLog = logger.child('chat');
+const syncLog = logger.child('sync');
+const peerLog = logger.child('webrtc');
+
+// CLUSTER_WORKERS=N: this process only supervises N workers (see cluster.js)
+if (clusterMode.shouldSupervise()) {
+  clusterMode.runPrimary();
+  return;
+}
 
 const app = express();
 const server = http.createServer(app);
 
+// Log lines written while handling a request carry its method and path
+app.use((req, res, next) => logger.runWithContext({ method: req.method, path: req.path }, next));
+app.param('uploadId', (req, res, next, uploadId) => {
+  logger.addContext({ uploadId });
+  // Uploads live on the instance that received /upload/init; forward to it
+  const remote = !uploads[uploadId] && remoteUploads[uploadId];
+  if (remote && !req.get(PROXIED_HEADER)) return proxyToInstance(remote, req, res);
+  next();
+});
+app.param('trackId', (req, res, next, trackId) => {
+  const remote = Object.values(remoteUploads).find(entry =>
+    (entry.subtitles || []).some(track => track.trackId === trackId)
+  );
+  if (remote && !req.get(PROXIED_HEADER)) return proxyToInstance(remote, req, res);
+  next();
+});
+
 // Enable CORS for all routes
 app.use(cors({
   origin: '*',
@@ -30,7 +73,13 @@ if (process.env.NODE_ENV === 'production') {
     if (
       req.path.startsWith('/stream/') ||
       req.path.startsWith('/upload/') ||
+      req.path.startsWith('/subtitles/') ||
       req.path === '/health' ||
+      req.path === '/metrics' ||
+      req.path === '/turn-credentials' ||
+      req.path.startsWith('/rooms/') ||
+      req.path.startsWith('/timelines/') ||
+      req.path.startsWith('/admin/') ||
       req.path === '/create-room'
     ) {
       return next();
@@ -53,32 +102,614 @@ const io = socketIo(server, {
   pingInterval: 25000 // More frequent ping
 });
 
-// Store room data
-const rooms = {};
-const userSocketMap = {};
-const peerIdMap = {};
+// Cluster workers broadcast to each other's sockets through the primary
+if (clusterMode.isWorker) io.adapter(clusterMode.createIpcAdapter());
+const INSTANCE_ID = process.env.INSTANCE_ID || 'local';
+const INSTANCE_URL = process.env.INSTANCE_URL || null;
+
+// Store room data. These maps (and the other id-keyed ones below) have no
+// prototype: ids come from clients, and "constructor" or "__proto__" must be
+// just another missing key.
+const rooms = Object.create(null);
+const userSocketMap = Object.create(null);
+const peerIdMap = Object.create(null);
 // Track connection health data
-const connectionHealth = {};
+const connectionHealth = Object.create(null);
+// Time-coded comments per upload (see "Timeline comments")
+const timelines = Object.create(null);
 
 // ─── Upload tracking ────────────────────────────────────────────────────────
-// { [uploadId]: { roomId, fileName, fileType, fileSize, totalChunks, receivedChunks, assembled, ext } }
-const uploads = {};
+// { [uploadId]: { roomId, fileName, fileType, fileSize, totalChunks, receivedChunks, assembled, ext, sha256 } }
+const uploads = Object.create(null);
 
-// Ensure upload directories exist
-const uploadsDir = path.join(__dirname, 'uploads');
-const chunksDir  = path.join(__dirname, 'chunks');
+// Ensure upload directories exist (cluster workers get one subdirectory each,
+// so startup cleanup never touches a sibling's files)
+const instanceSubdir = clusterMode.isWorker ? INSTANCE_ID : '';
+const uploadsDir = path.join(__dirname, 'uploads', instanceSubdir);
+const chunksDir  = path.join(__dirname, 'chunks', instanceSubdir);
+const subtitlesDir = path.join(__dirname, 'subtitle-tracks', instanceSubdir);
 fs.mkdirSync(uploadsDir, { recursive: true });
 fs.mkdirSync(chunksDir,  { recursive: true });
+fs.mkdirSync(subtitlesDir, { recursive: true });
+
+// ─── Metrics ─────────────────────────────────────────────────────────────────
+// Served in Prometheus text format at GET /metrics. Room, user and upload
+// gauges are counted at scrape time; everything else is recorded where it
+// happens. Values are per process.
+const metrics = createRegistry();
+
+metrics.gauge({
+  name: 'syncvideo_rooms',
+  help: 'Rooms currently open',
+  collect: gauge => gauge.set(Object.keys(rooms).length)
+});
+metrics.gauge({
+  name: 'syncvideo_users',
+  help: 'Connected room users by role',
+  collect: gauge => {
+    const byRole = { host: 0, moderator: 0, viewer: 0, 'chat-only': 0 };
+    Object.values(rooms).forEach(room => room.users.forEach(user => {
+      if (user.active === false) return;
+      const role = user.role || (user.isHost ? 'host' : user.isChatOnly ? 'chat-only' : 'viewer');
+      byRole[role] = (byRole[role] || 0) + 1;
+    }));
+    Object.entries(byRole).forEach(([role, count]) => gauge.set({ role }, count));
+  }
+});
+metrics.gauge({
+  name: 'syncvideo_socket_connections',
+  help: 'Open Socket.IO connections',
+  collect: gauge => gauge.set(io.engine.clientsCount)
+});
+metrics.gauge({
+  name: 'syncvideo_uploads',
+  help: 'Uploads by state',
+  collect: gauge => {
+    const all = Object.values(uploads);
+    gauge.set({ state: 'in_progress' }, all.filter(meta => !meta.assembled).length);
+    gauge.set({ state: 'assembled' }, all.filter(meta => meta.assembled).length);
+  }
+});
+const chunkReceiveSeconds = metrics.histogram({
+  name: 'syncvideo_chunk_receive_duration_seconds',
+  help: 'Time to receive, verify and store one upload chunk',
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+});
+const chunkAssemblySeconds = metrics.histogram({
+  name: 'syncvideo_chunk_assembly_duration_seconds',
+  help: 'Time to append one chunk to the growing file'
+});
+const streamBytesServed = metrics.counter({
+  name: 'syncvideo_stream_bytes_total',
+  help: 'Bytes served by /stream/:uploadId'
+});
+const streamReaders = metrics.gauge({
+  name: 'syncvideo_stream_readers',
+  help: 'Active /stream responses (pipeGrowingFile readers)'
+});
+const seekBufferingTotal = metrics.counter({
+  name: 'syncvideo_seek_buffering_total',
+  help: 'Host seeks that had to wait for data to reach the server'
+});
+const seekBufferingSeconds = metrics.histogram({
+  name: 'syncvideo_seek_buffering_wait_seconds',
+  help: 'Time from seek-needs-buffering to seek-buffered',
+  buckets: [0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120]
+});
+const heartbeatRttSeconds = metrics.histogram({
+  name: 'syncvideo_heartbeat_rtt_seconds',
+  help: 'Heartbeat round-trip time samples',
+  buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]
+});
+const disconnectsTotal = metrics.counter({
+  name: 'syncvideo_disconnects_total',
+  help: 'Socket disconnects'
+});
+const reconnectsTotal = metrics.counter({
+  name: 'syncvideo_reconnects_total',
+  help: 'Joins that resumed a session that had disconnected from the room'
+});
+const bufferWaitsStarted = metrics.counter({
+  name: 'syncvideo_buffer_waits_total',
+  help: 'Room-wide pauses started because a viewer stalled (wait for everyone)'
+});
+const bufferWaitSeconds = metrics.histogram({
+  name: 'syncvideo_buffer_wait_seconds',
+  help: 'How long wait-for-everyone pauses lasted, by how they ended',
+  buckets: [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120]
+});
+
+// ─── Persistence ─────────────────────────────────────────────────────────────
+// rooms/uploads/maps stay plain in-memory objects (every handler reads them
+// directly); the store just snapshots them so a restart can pick up where the
+// previous process stopped. Saves are debounced — call schedulePersist() after
+// any mutation worth keeping.
+const store = createStore();
+const PERSIST_DEBOUNCE_MS = 1000;
+let persistTimer = null;
+
+// Upload metadata holds a Set and a live write stream — neither is JSON-safe
+function serializeUpload(meta) {
+  const { writeStream, assembling, receivingChunks, pendingChunkSet, ...rest } = meta;
+  return { ...rest, pendingChunkSet: [...pendingChunkSet] };
+}
+
+function snapshotState() {
+  const serializedUploads = {};
+  Object.keys(uploads).forEach(uploadId => {
+    serializedUploads[uploadId] = serializeUpload(uploads[uploadId]);
+  });
+  return { rooms, uploads: serializedUploads, userSocketMap, peerIdMap, connectionHealth, timelines };
+}
+
+function persistState() {
+  if (persistTimer) {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+  }
+  return store.save(snapshotState());
+}
+
+function schedulePersist() {
+  scheduleSharedPublish();
+  if (persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    persistState().catch(err => stateLog.error('persistState failed', { err }));
+  }, PERSIST_DEBOUNCE_MS);
+}
+
+// ─── Multi-instance state ────────────────────────────────────────────────────
+// With several instances (see cluster.js) every one keeps the same plain
+// objects as a single process, and mirrors them through the shared-state
+// backend (shared-state.js):
+//   rooms    every room, published by whichever instance changed it last,
+//            without its chat log (see chat)
+//   chat     one entry per chat message ("roomId/messageId"), so a new
+//            message or reaction sends that message rather than the history
+//   uploads  a directory entry per upload, published by the instance that
+//            stores it; requests for it are proxied there (proxyToInstance)
+//   peers    peer id of each socket, published by the socket's instance
+//   health   connectionHealth of each socket, likewise
+//   timelines time-coded comments per upload, last writer wins like rooms;
+//            the comments themselves go one per entry ("uploadId/commentId")
+//            in comments, like chat
+//   roomIds  ids handed out by create-room that no room uses yet (see
+//            generateRoomId); two instances issuing the same id in the same
+//            instant can still both succeed
+// Changes go out right after the handler that made them (schedulePersist and
+// heartbeats trigger a diff against what was last sent). Rooms are last
+// writer wins: two instances changing one room at the same instant keep
+// whichever update the other side receives last.
+const sharedState = createSharedState();
+const remoteUploads = Object.create(null); // uploadId → directory entry from the owning instance
+const publishedState = {
+  rooms: new Map(), chat: new Map(), uploads: new Map(), peers: new Map(), health: new Map(),
+  timelines: new Map(), comments: new Map(), roomIds: new Map()
+}; // key → JSON
+const PROXIED_HEADER = 'x-proxied-by-instance';
+let sharedPublishQueued = false;
+
+function uploadDirectoryEntry(meta) {
+  return {
+    instanceId: INSTANCE_ID,
+    instanceUrl: INSTANCE_URL,
+    roomId: meta.roomId,
+    fileName: meta.fileName,
+    fileType: meta.fileType,
+    fileSize: meta.fileSize,
+    totalChunks: meta.totalChunks,
+    assembledChunks: meta.assembledChunks,
+    assembled: meta.assembled,
+    streamReadyEmitted: meta.streamReadyEmitted,
+    subtitles: meta.subtitles || []
+  };
+}
+
+// What this instance currently has to say, by namespace
+function localSharedEntries() {
+  const health = {};
+  const peers = {};
+  Object.entries(connectionHealth).forEach(([socketId, entry]) => {
+    if (entry.instanceId !== INSTANCE_ID) return;
+    health[socketId] = entry;
+    if (peerIdMap[socketId]) peers[socketId] = { peerId: peerIdMap[socketId], instanceId: INSTANCE_ID };
+  });
+  const uploadEntries = {};
+  Object.entries(uploads).forEach(([uploadId, meta]) => {
+    uploadEntries[uploadId] = uploadDirectoryEntry(meta);
+  });
+  const roomEntries = {};
+  const chat = {};
+  Object.entries(rooms).forEach(([roomId, room]) => {
+    const { messages, ...roomEntry } = room;
+    roomEntries[roomId] = roomEntry;
+    (messages || []).forEach(message => { chat[`${roomId}/${message.id}`] = message; });
+  });
+  const timelineEntries = {};
+  const comments = {};
+  Object.entries(timelines).forEach(([uploadId, timeline]) => {
+    const { comments: timelineComments, ...timelineEntry } = timeline;
+    timelineEntries[uploadId] = timelineEntry;
+    timelineComments.forEach(comment => { comments[`${uploadId}/${comment.id}`] = comment; });
+  });
+  // Rooms and timelines go before the entries that belong to them
+  return {
+    rooms: roomEntries,
+    chat,
+    uploads: uploadEntries,
+    peers,
+    health,
+    timelines: timelineEntries,
+    comments,
+    roomIds: reservedRoomIds
+  };
+}
+
+// "roomId/messageId" → [roomId, messageId] (ids never contain a slash, room ids may)
+function splitSharedKey(key) {
+  const slash = key.lastIndexOf('/');
+  return [key.slice(0, slash), key.slice(slash + 1)];
+}
+
+// Replace an item of an id-keyed list in place, or add it with insert()
+function upsertById(list, value, insert) {
+  const existing = list.find(item => item.id === value.id);
+  if (!existing) return insert(value);
+  Object.keys(existing).forEach(field => delete existing[field]);
+  Object.assign(existing, value);
+}
+
+function removeById(list, id) {
+  const index = list.findIndex(item => item.id === id);
+  if (index !== -1) list.splice(index, 1);
+}
+
+function publishSharedState() {
+  Object.entries(localSharedEntries()).forEach(([namespace, entries]) => {
+    const published = publishedState[namespace];
+    Object.entries(entries).forEach(([key, value]) => {
+      const json = JSON.stringify(value);
+      if (published.get(key) === json) return;
+      published.set(key, json);
+      sharedState.set(namespace, key, JSON.parse(json));
+    });
+    [...published.keys()].forEach(key => {
+      if (entries[key]) return;
+      published.delete(key);
+      sharedState.set(namespace, key, null);
+    });
+  });
+}
+
+// Coalesce everything one handler changed into a single diff
+function scheduleSharedPublish() {
+  if (!sharedState.shared || sharedPublishQueued) return;
+  sharedPublishQueued = true;
+  queueMicrotask(() => {
+    sharedPublishQueued = false;
+    publishSharedState();
+  });
+}
+
+// Apply another instance's change to our copy
+function applySharedEntry(namespace, key, value) {
+  switch (namespace) {
+    case 'rooms':
+      if (!value) {
+        delete rooms[key];
+        publishedState.rooms.delete(key);
+        return;
+      }
+      publishedState.rooms.set(key, JSON.stringify(value));
+      if (rooms[key]) {
+        // Replace in place — handlers may be holding on to the room object.
+        // The chat log isn't part of the entry and stays as it is.
+        const messages = rooms[key].messages || [];
+        Object.keys(rooms[key]).forEach(field => delete rooms[key][field]);
+        Object.assign(rooms[key], value, { messages });
+      } else {
+        rooms[key] = { ...value, messages: [] };
+      }
+      break;
+    case 'chat': {
+      const [roomId, messageId] = splitSharedKey(key);
+      const room = rooms[roomId];
+      if (!value) {
+        publishedState.chat.delete(key);
+        if (room) removeById(room.messages, messageId);
+        return;
+      }
+      publishedState.chat.set(key, JSON.stringify(value));
+      if (!room) return;
+      // Messages arrive in the order they were sent; keep the log that way
+      upsertById(room.messages, value, message => {
+        const index = room.messages.findIndex(other => other.time > message.time);
+        room.messages.splice(index === -1 ? room.messages.length : index, 0, message);
+      });
+      break;
+    }
+    case 'timelines':
+      if (!value) {
+        delete timelines[key];
+        publishedState.timelines.delete(key);
+        return;
+      }
+      publishedState.timelines.set(key, JSON.stringify(value));
+      timelines[key] = { ...value, comments: timelines[key] ? timelines[key].comments : [] };
+      break;
+    case 'comments': {
+      const [uploadId, commentId] = splitSharedKey(key);
+      const timeline = timelines[uploadId];
+      if (!value) {
+        publishedState.comments.delete(key);
+        if (timeline) removeById(timeline.comments, commentId);
+        return;
+      }
+      publishedState.comments.set(key, JSON.stringify(value));
+      if (timeline) upsertById(timeline.comments, value, comment => insertTimelineComment(timeline, comment));
+      break;
+    }
+    case 'roomIds':
+      if (value) {
+        publishedState.roomIds.set(key, JSON.stringify(value));
+        reservedRoomIds[key] = value;
+      } else {
+        publishedState.roomIds.delete(key);
+        delete reservedRoomIds[key];
+      }
+      break;
+    case 'uploads':
+      if (uploads[key]) return;
+      if (value) remoteUploads[key] = value;
+      else delete remoteUploads[key];
+      break;
+    case 'peers':
+      if (connectionHealth[key] && connectionHealth[key].instanceId === INSTANCE_ID) return;
+      if (value) peerIdMap[key] = value.peerId;
+      else delete peerIdMap[key];
+      break;
+    case 'health':
+      if (connectionHealth[key] && connectionHealth[key].instanceId === INSTANCE_ID) return;
+      if (value) connectionHealth[key] = value;
+      else delete connectionHealth[key];
+      break;
+    default:
+      break;
+  }
+}
+
+sharedState.subscribe(applySharedEntry);
+
+function isSharedChild(namespace) {
+  return namespace === 'chat' || namespace === 'comments';
+}
+
+// Pull in what the rest of the cluster already has; true if it had any rooms
+async function loadSharedState() {
+  if (!sharedState.shared) return false;
+  const snapshot = await sharedState.snapshot();
+  // Rooms and timelines first, so chat messages and comments find theirs
+  const namespaces = Object.keys(snapshot).sort((a, b) => isSharedChild(a) - isSharedChild(b));
+  namespaces.forEach(namespace => {
+    Object.entries(snapshot[namespace]).forEach(([key, value]) => applySharedEntry(namespace, key, value));
+  });
+  return Object.keys(snapshot.rooms || {}).length > 0;
+}
+
+// Local upload metadata, or the directory entry of an upload on another instance
+function uploadInfo(uploadId) {
+  return (uploadId && (uploads[uploadId] || remoteUploads[uploadId])) || null;
+}
+
+// Sockets on other instances count as connected while their health says so
+function isSocketConnected(socketId) {
+  if (io.sockets.sockets.has(socketId)) return true;
+  const health = connectionHealth[socketId];
+  return !!health && health.instanceId !== INSTANCE_ID && health.isConnected !== false;
+}
+
+// Stream a request through to the instance that owns the upload it is about
+function proxyToInstance(entry, req, res) {
+  if (!entry.instanceUrl) return res.status(503).json({ error: 'Upload is on an instance without INSTANCE_URL' });
+  const target = new URL(req.originalUrl, entry.instanceUrl);
+  const upstream = http.request(target, {
+    method: req.method,
+    headers: { ...req.headers, host: target.host, [PROXIED_HEADER]: INSTANCE_ID }
+  }, upstreamRes => {
+    res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+    upstreamRes.pipe(res);
+  });
+  upstream.on('error', err => {
+    uploadLog.warn('Proxy to owning instance failed', { instanceId: entry.instanceId, err });
+    if (!res.headersSent) res.status(502).json({ error: 'Upload owner unreachable' });
+    else res.destroy();
+  });
+  openStreams.add(res);
+  res.on('close', () => {
+    openStreams.delete(res);
+    upstream.destroy();
+  });
+  req.pipe(upstream);
+}
+
+// Another instance asked us to drop one of our uploads (queue advance, room teardown, …)
+io.on('delete-upload', uploadId => {
+  deleteUploadedFile(uploadId).catch(() => {});
+});
+
+function chunkFileName(idx) {
+  return `chunk_${String(idx).padStart(6, '0')}`;
+}
+
+// Stream a file through SHA-256 without loading it into memory
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', data => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+function isSha256Hex(value) {
+  return typeof value === 'string' && /^[0-9a-f]{64}$/i.test(value);
+}
+
+// Rebuild live upload metadata from a snapshot entry, reconciling it with what
+// is actually on disk. The snapshot is debounced, so the growing file and the
+// chunks/ directory are the source of truth for how far assembly got.
+async function resumeUpload(uploadId, saved) {
+  const meta = {
+    ...saved,
+    pendingChunkSet: new Set(saved.pendingChunkSet || []),
+    receivingChunks: new Set(),
+    assembling: false,
+    writeStream: null,
+    scanStatus: saved.scanStatus === 'scanning' ? null : saved.scanStatus // rerun interrupted scans
+  };
+  const filePath = path.join(uploadsDir, `${uploadId}.${meta.ext}`);
+
+  let size = 0;
+  try { size = (await fsp.stat(filePath)).size; } catch (_) {}
+
+  if (meta.assembled) {
+    if (size === 0) return null; // file is gone — nothing to resume
+    return meta;
+  }
+
+  // Every appended chunk is exactly CHUNK_SIZE except the last, so whole chunks
+  // on disk tell us how many were assembled. Trim any half-written tail.
+  const complete = meta.fileSize > 0 && size >= meta.fileSize;
+  meta.assembledChunks = complete ? meta.totalChunks : Math.floor(size / CHUNK_SIZE);
+  if (!complete && size > meta.assembledChunks * CHUNK_SIZE) {
+    await fsp.truncate(filePath, meta.assembledChunks * CHUNK_SIZE);
+  }
+
+  // Whatever chunk files survived are the pending set
+  meta.pendingChunkSet = new Set();
+  const chunkFiles = await fsp.readdir(path.join(chunksDir, uploadId)).catch(() => []);
+  chunkFiles.forEach(f => {
+    const idx = parseInt(f.replace('chunk_', ''), 10);
+    if (Number.isInteger(idx) && idx >= meta.assembledChunks && idx < meta.totalChunks) {
+      meta.pendingChunkSet.add(idx);
+    }
+  });
+  meta.receivedChunks = meta.assembledChunks + meta.pendingChunkSet.size;
+  return meta;
+}
+
+// Remove files in uploads/ and chunks/ that no known upload refers to
+async function removeOrphanedFiles() {
+  const files = await fsp.readdir(uploadsDir).catch(() => []);
+  await Promise.all(files
+    .filter(f => !uploads[f.split('.')[0]])
+    .map(f => fsp.unlink(path.join(uploadsDir, f)).catch(() => {})));
+
+  const dirs = await fsp.readdir(chunksDir).catch(() => []);
+  await Promise.all(dirs
+    .filter(d => !uploads[d])
+    .map(d => fsp.rm(path.join(chunksDir, d), { recursive: true, force: true }).catch(() => {})));
+
+  const trackIds = new Set();
+  Object.values(uploads).forEach(meta => (meta.subtitles || []).forEach(track => trackIds.add(track.trackId)));
+  const trackFiles = await fsp.readdir(subtitlesDir).catch(() => []);
+  await Promise.all(trackFiles
+    .filter(f => !trackIds.has(f.split('.')[0]))
+    .map(f => fsp.unlink(path.join(subtitlesDir, f)).catch(() => {})));
+}
+
+// On startup: reload the last snapshot, resume interrupted assembly and clear
+// out anything left on disk that no longer belongs to an upload.
+async function restoreState() {
+  // A running cluster's rooms are newer than anything on our disk
+  const clusterHasRooms = await loadSharedState();
+  const snapshot = await store.load();
+
+  if (snapshot) {
+    const now = Date.now();
+
+    const savedRooms = clusterHasRooms ? {} : snapshot.rooms || {};
+    Object.assign(rooms, savedRooms);
+    Object.values(savedRooms).forEach(room => {
+      room.lastActive = now;
+      // Our disk, our parties: this instance runs their timers from now on
+      if (room.party) room.party.instanceId = INSTANCE_ID;
+      // Every socket from the previous process is gone — treat users as
+      // disconnected so the usual reconnection / inactive cleanup applies.
+      room.users.forEach(user => {
+        if (user.active !== false) {
+          user.active = false;
+          user.disconnectedAt = now;
+        }
+      });
+    });
+
+    Object.assign(timelines, clusterHasRooms ? {} : snapshot.timelines || {});
+    // Older snapshots kept comments in arrival order
+    Object.values(timelines).forEach(timeline => timeline.comments.sort((a, b) => a.mediaTime - b.mediaTime));
+    Object.assign(userSocketMap, snapshot.userSocketMap || {});
+    Object.assign(peerIdMap, snapshot.peerIdMap || {});
+    Object.entries(snapshot.connectionHealth || {}).forEach(([socketId, health]) => {
+      connectionHealth[socketId] = {
+        ...health,
+        instanceId: INSTANCE_ID,
+        isConnected: false,
+        disconnectedAt: health.disconnectedAt || now
+      };
+    });
+
+    for (const [uploadId, saved] of Object.entries(snapshot.uploads || {})) {
+      const meta = await resumeUpload(uploadId, saved).catch(err => {
+        stateLog.error('Could not resume upload', { uploadId, err });
+        return null;
+      });
+      if (meta) uploads[uploadId] = meta;
+    }
+
+    // Rooms pointing at an upload that didn't survive lose the reference
+    Object.values(rooms).forEach(room => {
+      if (room.uploadId && !uploadInfo(room.uploadId)) {
+        room.uploadId = null;
+        room.streaming = false;
+      }
+      room.queue = (room.queue || []).filter(uid => uploadInfo(uid));
+      room.messages = room.messages || [];
+      room.moderators = room.moderators || [];
+      room.muted = room.muted || [];
+      room.bans = room.bans || [];
+      room.addresses = room.addresses || {};
+      room.waitForEveryone = room.waitForEveryone || { enabled: false, timeoutMs: BUFFER_WAIT_TIMEOUT_MS };
+      // Nobody is left to report ready; the room stays paused where the wait was
+      room.bufferWait = null;
+      room.bufferExcused = [];
+      room.loopRange = room.loopRange || null;
+      room.audio = room.audio || null;
+      room.party = room.party || null;
+      room.polls = room.polls || [];
+    });
 
-// On startup: remove leftover files from previous sessions
-fsp.readdir(uploadsDir).then(files =>
-  Promise.all(files.map(f => fsp.unlink(path.join(uploadsDir, f)).catch(() => {})))
-).catch(() => {});
-fsp.readdir(chunksDir).then(dirs =>
-  Promise.all(dirs.map(d => fsp.rm(path.join(chunksDir, d), { recursive: true, force: true }).catch(() => {})))
-).catch(() => {});
+    stateLog.info('Restored state', { rooms: Object.keys(rooms).length, uploads: Object.keys(uploads).length, store: store.kind });
+  }
+
+  await removeOrphanedFiles();
+
+  // Pick assembly up where it stopped; seek indexes are rebuilt from disk
+  Object.entries(uploads).forEach(([uploadId, meta]) => {
+    if (!meta.assembled) assembleSequential(uploadId, meta);
+    probeSeekIndex(uploadId, meta).catch(() => {});
+  });
+  // Party steps that fell due while we were down happen now
+  Object.keys(rooms).forEach(roomId => {
+    if (rooms[roomId].party && rooms[roomId].party.instanceId === INSTANCE_ID) advanceParty(roomId);
+  });
+  // ...and poll deadlines are re-armed (the sweep closes any already past)
+  Object.keys(rooms).forEach(roomId => openPolls(rooms[roomId]).forEach(poll => armPollTimer(roomId, poll)));
+  scheduleSharedPublish();
+}
 
-// Multer storage: save each chunk as chunks/<uploadId>/chunk_000000
+// Multer storage: save each chunk as chunks/<uploadId>/chunk_000000 (see the chunk route)
 const chunkStorage = multer.diskStorage({
   destination: (req, file, cb) => {
     const dir = path.join(chunksDir, req.params.uploadId);
@@ -87,34 +718,371 @@ const chunkStorage = multer.diskStorage({
   },
   filename: (req, file, cb) => {
     const idx = parseInt(req.params.chunkIndex, 10);
-    cb(null, `chunk_${String(idx).padStart(6, '0')}`);
+    cb(null, chunkFileName(idx));
   }
 });
-const chunkUpload = multer({ storage: chunkStorage });
+
 
 // ─── Progressive assembly ────────────────────────────────────────────────────
 // Assembles sequential chunks into a growing file as soon as they arrive.
-// Emits stream-ready when 10% is sequentially assembled (viewers can start early).
+// Emits stream-ready when 10% is sequentially assembled (viewers can start early),
+// except for MP4s whose moov sits at the end — those wait for the tail chunks.
 // Uses an assembling flag to prevent concurrent assembly races.
 const STREAM_READY_THRESHOLD = 0.10; // emit stream-ready after 10% assembled
 const CHUNK_SIZE = 5 * 1024 * 1024;  // must match client CHUNK_SIZE in WebRTCProvider.jsx
 
+// Only the room's current upload talks to viewers — queued uploads assemble
+// silently and announce themselves when the queue advances to them.
+function isCurrentUpload(uploadId, meta) {
+  return !!rooms[meta.roomId] && rooms[meta.roomId].uploadId === uploadId;
+}
+
+function streamReadyPayload(uploadId, meta) {
+  return {
+    uploadId,
+    streamUrl: `/stream/${uploadId}`,
+    fileName: meta.fileName,
+    fileType: meta.fileType,
+    fileSize: meta.fileSize,
+    subtitles: subtitleTracks(uploadId)
+  };
+}
+
+// Public description of an upload's subtitle tracks (announced with the stream)
+function subtitleTracks(uploadId) {
+  const meta = uploadInfo(uploadId);
+  if (!meta || !meta.subtitles) return [];
+  return meta.subtitles.map(track => ({
+    trackId: track.trackId,
+    label: track.label,
+    language: track.language,
+    url: `/subtitles/${track.trackId}`
+  }));
+}
+
+// ─── Seek index (time → byte) ────────────────────────────────────────────────
+// Keyframe indexes for MP4/MOV uploads, parsed from the moov box once it has
+// been assembled. Derived data, so it lives outside the upload metadata and is
+// simply rebuilt after a restart. Other containers (MKV, AVI, …) fall back to
+// the linear seekTime / duration * fileSize estimate.
+//
+// Phone and screen-recorder MP4s often put moov after mdat. A browser can
+// still start such a file early — it range-requests the tail — but only if
+// the tail is on the server, so the uploader is asked for those chunks first
+// and stream-ready waits until the moov has been parsed out of them. An
+// uploader that ignores upload-priority delays stream-ready until the whole
+// file is in; that is logged (and the request repeated) once the threshold
+// is reached. A read that fails leaves the index incomplete and is retried.
+// { [uploadId]: { status: 'incomplete'|'ready'|'unsupported', index, needBytes,
+//                 moovAtEnd, tailOffset, probing, retryTimer, tailWarned } }
+const seekIndexes = Object.create(null);
+const ISO_BMFF_EXTS = new Set(['mp4', 'm4v', 'mov', '3gp', '3g2']);
+const PROBE_RETRY_MS = 2000;
+
+// Read bytes of an upload that may not be assembled yet: the sequential part
+// comes from the growing file, anything past it from chunks/<uploadId>/.
+async function readUploadBytes(uploadId, meta, position, length) {
+  const buf = Buffer.alloc(length);
+  let filled = 0;
+  while (filled < length) {
+    const pos = position + filled;
+    const idx = Math.floor(pos / CHUNK_SIZE);
+    const inFile = meta.assembled || idx < meta.assembledChunks;
+    const filePath = inFile
+      ? path.join(uploadsDir, `${uploadId}.${meta.ext}`)
+      : path.join(chunksDir, uploadId, chunkFileName(idx));
+    const want = Math.min(length - filled, (idx + 1) * CHUNK_SIZE - pos);
+
+    let fh;
+    try {
+      fh = await fsp.open(filePath, 'r');
+    } catch (err) {
+      // The assembler got there first; the bytes are in the growing file now
+      if (err.code === 'ENOENT' && !inFile && idx < meta.assembledChunks) continue;
+      throw err;
+    }
+    try {
+      const { bytesRead } = await fh.read(buf, filled, want, inFile ? pos : pos - idx * CHUNK_SIZE);
+      if (bytesRead === 0) throw new Error(`Unexpected end of data at byte ${pos}`);
+      filled += bytesRead;
+    } finally {
+      await fh.close();
+    }
+  }
+  return buf;
+}
+
+async function probeSeekIndex(uploadId, meta) {
+  if (!ISO_BMFF_EXTS.has(meta.ext)) return;
+  if (!seekIndexes[uploadId]) seekIndexes[uploadId] = { status: 'incomplete', needBytes: 0, probing: false };
+  const entry = seekIndexes[uploadId];
+  if (entry.status !== 'incomplete' || entry.probing) return;
+
+  entry.probing = true;
+  try {
+    let result = null;
+    if (entry.moovAtEnd && !meta.assembled) {
+      // Trailing moov: parse it as soon as the tail chunks are all here
+      if (isByteRangeAvailable(meta, entry.tailOffset, meta.fileSize)) {
+        result = await mp4.buildSeekIndexFromTail(
+          (position, length) => readUploadBytes(uploadId, meta, position, length),
+          entry.tailOffset,
+          meta.fileSize
+        );
+      }
+    } else {
+      // Only trust bytes that are both assembled and actually flushed to disk
+      const filePath = path.join(uploadsDir, `${uploadId}.${meta.ext}`);
+      let available = 0;
+      try { available = (await fsp.stat(filePath)).size; } catch (_) { available = 0; }
+      if (!meta.assembled) available = Math.min(available, meta.assembledChunks * CHUNK_SIZE);
+      if (available > 0 && available >= entry.needBytes) {
+        result = await mp4.buildSeekIndex(filePath, available, meta.fileSize);
+      }
+    }
+
+    if (result) {
+      entry.status = result.status;
+      entry.index = result.index || null;
+      entry.needBytes = result.needBytes || 0;
+      if (result.moovAtEnd && !entry.moovAtEnd) {
+        entry.moovAtEnd = true;
+        entry.tailOffset = result.tailOffset;
+        uploadLog.info('moov is at the end of the file, requesting tail chunks', { uploadId, tailOffset: result.tailOffset });
+        requestPriorityChunks(uploadId, meta, result.tailOffset, meta.fileSize, 'moov');
+      }
+      if (result.status === 'ready') {
+        uploadLog.info('Seek index ready', { uploadId, keyframes: result.index.times.length });
+      }
+    }
+  } catch (err) {
+    // mp4.js reports malformed files as 'unsupported' itself, so this is I/O
+    // (a chunk moved by the assembler, a full disk, …): try again shortly
+    uploadLog.warn('probeSeekIndex failed, will retry', { uploadId, err });
+    if (!entry.retryTimer) {
+      entry.retryTimer = setTimeout(() => {
+        entry.retryTimer = null;
+        if (uploads[uploadId] === meta) probeSeekIndex(uploadId, meta).catch(() => {});
+      }, PROBE_RETRY_MS);
+    }
+  } finally {
+    entry.probing = false;
+  }
+
+  // The tail may already be here (small files, or after a restart)
+  if (entry.status === 'incomplete' && entry.moovAtEnd && !meta.assembled &&
+      isByteRangeAvailable(meta, entry.tailOffset, meta.fileSize)) {
+    return probeSeekIndex(uploadId, meta);
+  }
+  maybeEmitStreamReady(uploadId, meta);
+}
+
+// A trailing moov we haven't parsed yet means the browser can't start playback
+// from the bytes we have. Once the whole file is assembled it doesn't matter.
+function awaitingMoov(uploadId, meta) {
+  if (meta.assembled || !ISO_BMFF_EXTS.has(meta.ext)) return false;
+  const entry = seekIndexes[uploadId];
+  if (!entry) return true; // not probed yet
+  return entry.probing || (entry.status === 'incomplete' && !!entry.moovAtEnd);
+}
+
+// Emit stream-ready once the 10% threshold is crossed, the moov is usable and
+// the content checks have passed
+function maybeEmitStreamReady(uploadId, meta) {
+  if (meta.streamReadyEmitted || meta.rejected || !meta.container) return;
+  if (!meta.assembled) {
+    if (meta.assembledChunks < Math.ceil(meta.totalChunks * STREAM_READY_THRESHOLD)) return;
+    if (awaitingMoov(uploadId, meta)) {
+      const entry = seekIndexes[uploadId];
+      if (entry && entry.moovAtEnd && !entry.tailWarned) {
+        entry.tailWarned = true;
+        uploadLog.warn('stream-ready held back: the trailing moov has not been uploaded yet', { uploadId, tailOffset: entry.tailOffset });
+        requestPriorityChunks(uploadId, meta, entry.tailOffset, meta.fileSize, 'moov');
+      }
+      return;
+    }
+  }
+  if (uploadScanner && meta.scanStatus !== 'passed') {
+    if (!meta.scanStatus) runUploadScan(uploadId, meta);
+    return;
+  }
+  meta.streamReadyEmitted = true;
+  schedulePersist();
+  uploadLog.info('stream-ready', { uploadId, percent: Math.round(meta.assembledChunks / meta.totalChunks * 100) });
+  if (isCurrentUpload(uploadId, meta)) {
+    io.to(meta.roomId).emit('stream-ready', streamReadyPayload(uploadId, meta));
+    // A party that was due to start but waiting for this upload starts now
+    const party = rooms[meta.roomId] && rooms[meta.roomId].party;
+    if (party && party.waitingForUpload) advanceParty(meta.roomId);
+  }
+}
+
+// Bytes a player needs to resume at seekTime: { start, end } with end exclusive,
+// or null when we can't tell (no index and no duration from the client)
+function seekRangeFor(uploadId, meta, seekTime, videoDuration) {
+  const entry = seekIndexes[uploadId];
+  if (entry && entry.status === 'ready') {
+    const keyframe = mp4.keyframeForTime(entry.index, seekTime);
+    return { start: keyframe.offset, end: keyframe.end };
+  }
+  if (videoDuration && meta.fileSize) {
+    const estimate = Math.floor(seekTime / videoDuration * meta.fileSize);
+    return { start: estimate, end: estimate };
+  }
+  return null;
+}
+
+// ─── Priority scheduling / sparse availability ───────────────────────────────
+// A seek past the assembled region doesn't have to wait for sequential
+// assembly: the uploader is asked to send the chunks around the seek point
+// next, and /stream serves them straight out of chunks/<uploadId>/.
+const PRIORITY_WINDOW_CHUNKS = 6; // ~30 MB of read-ahead after the seek point
+
+function chunkAvailable(meta, idx) {
+  return idx < meta.assembledChunks || meta.pendingChunkSet.has(idx);
+}
+
+// Is every chunk covering [start, end) on the server, assembled or not?
+function isByteRangeAvailable(meta, start, end) {
+  const first = Math.floor(start / CHUNK_SIZE);
+  const last = Math.min(meta.totalChunks - 1, Math.floor(Math.max(start, end - 1) / CHUNK_SIZE));
+  for (let idx = first; idx <= last; idx++) {
+    if (!chunkAvailable(meta, idx)) return false;
+  }
+  return true;
+}
+
+// Tell the uploader (the room host) which chunks to send next
+function requestPriorityChunks(uploadId, meta, fromByte, toByte, reason) {
+  const room = rooms[meta.roomId];
+  if (!room || !room.host) return;
+
+  const lastChunk = meta.totalChunks - 1;
+  const fromChunk = Math.min(lastChunk, Math.floor(fromByte / CHUNK_SIZE));
+  const toChunk = Math.min(lastChunk, Math.max(
+    Math.floor(Math.max(fromByte, toByte - 1) / CHUNK_SIZE),
+    fromChunk + PRIORITY_WINDOW_CHUNKS - 1
+  ));
+  const missingChunks = [];
+  for (let idx = fromChunk; idx <= toChunk; idx++) {
+    if (!chunkAvailable(meta, idx) && !meta.receivingChunks.has(idx)) missingChunks.push(idx);
+  }
+  if (missingChunks.length === 0) return;
+
+  uploadLog.info('upload-priority requested', { uploadId, fromChunk, toChunk, reason });
+  io.to(room.host).emit('upload-priority', { uploadId, fromChunk, toChunk, missingChunks, reason });
+}
+
+// Ungate a host seek once every chunk it needs is on the server
+function checkPendingSeek(uploadId, meta) {
+  if (!isCurrentUpload(uploadId, meta)) return;
+  const room = rooms[meta.roomId];
+  if (!room.pendingSeekByte) return;
+
+  const start = room.pendingSeekStart != null ? room.pendingSeekStart : room.pendingSeekByte;
+  if (meta.assembled || isByteRangeAvailable(meta, start, room.pendingSeekByte)) {
+    syncLog.info('seek-buffered: data for seek position is on the server', { roomId: meta.roomId, uploadId, byte: room.pendingSeekByte });
+    if (room.pendingSeekAt) seekBufferingSeconds.observe((Date.now() - room.pendingSeekAt) / 1000);
+    room.pendingSeekByte = null;
+    room.pendingSeekStart = null;
+    room.pendingSeekAt = null;
+    io.to(meta.roomId).emit('seek-buffered');
+  }
+}
+
+// ─── Content validation ──────────────────────────────────────────────────────
+// The first assembled chunk must carry the signature of the container its
+// declared MIME type promises, and an optional scanner (see media.js) gets a
+// look before anyone is told the file is streamable. Failures abort the upload.
+const uploadScanner = media.loadScanner();
+const REJECTED_UPLOADS_LIMIT = 500;
+const rejectedUploads = new Map(); // uploadId → { code, reason, rejectedAt }, for the status endpoint
+
+// Drop an upload that failed validation and tell the host why
+function rejectUpload(uploadId, meta, code, reason) {
+  uploadLog.warn('Rejected upload', { uploadId, roomId: meta.roomId, code, reason });
+  meta.rejected = true;
+  rejectedUploads.set(uploadId, { code, reason, rejectedAt: Date.now() });
+  if (rejectedUploads.size > REJECTED_UPLOADS_LIMIT) rejectedUploads.delete(rejectedUploads.keys().next().value);
+  const room = rooms[meta.roomId];
+  if (room && room.host) io.to(room.host).emit('upload-rejected', { uploadId, code, reason });
+  if (isCurrentUpload(uploadId, meta)) {
+    advanceQueue(meta.roomId); // also deletes the upload
+  } else {
+    deleteUploadedFile(uploadId).catch(() => {});
+  }
+}
+
+// Sniff the start of the file once it's on disk; false if the upload was rejected
+async function checkContainer(uploadId, meta) {
+  if (meta.container) return true;
+  const head = await readUploadBytes(uploadId, meta, 0, Math.min(media.SNIFF_BYTES, meta.fileSize));
+  const container = media.sniffContainer(head);
+  const expected = media.resolveType(meta.fileType);
+  if (!container) {
+    rejectUpload(uploadId, meta, 'UNRECOGNIZED_CONTAINER', 'File is not a recognised video container');
+    return false;
+  }
+  if (!expected || expected.container !== container) {
+    rejectUpload(uploadId, meta, 'CONTENT_TYPE_MISMATCH', `File content is ${container}, not ${meta.fileType}`);
+    return false;
+  }
+  meta.container = container;
+  schedulePersist();
+  return true;
+}
+
+// Run the scanner hook once; stream-ready waits until it has passed
+async function runUploadScan(uploadId, meta) {
+  meta.scanStatus = 'scanning';
+  const filePath = path.join(uploadsDir, `${uploadId}.${meta.ext}`);
+  let verdict;
+  try {
+    verdict = await uploadScanner({
+      uploadId,
+      fileName: meta.fileName,
+      fileType: meta.fileType,
+      fileSize: meta.fileSize,
+      container: meta.container,
+      filePath,
+      availableBytes: meta.assembled ? meta.fileSize : meta.assembledChunks * CHUNK_SIZE,
+      assembled: meta.assembled
+    });
+  } catch (err) {
+    verdict = { ok: false, reason: `Scanner error: ${err.message}` };
+  }
+  if (uploads[uploadId] !== meta) return; // deleted while scanning
+
+  if (verdict === true || (verdict && verdict.ok === true)) {
+    meta.scanStatus = 'passed';
+    schedulePersist();
+    maybeEmitStreamReady(uploadId, meta);
+  } else {
+    meta.scanStatus = 'failed';
+    rejectUpload(uploadId, meta, 'SCAN_FAILED', (verdict && verdict.reason) || 'Upload failed the content scan');
+  }
+}
+
 async function assembleSequential(uploadId, meta) {
-  if (meta.assembling) return; // another call is already running
+  if (meta.assembling || uploads[uploadId] !== meta) return; // already running, or deleted
   meta.assembling = true;
 
   try {
     const destPath = path.join(uploadsDir, `${uploadId}.${meta.ext}`);
 
-    // Open the write stream the first time
+    // Resumed after a restart between assembling chunk 0 and sniffing it
+    if (meta.assembledChunks > 0 && !(await checkContainer(uploadId, meta))) return;
+
+    // Open the write stream the first time (append when resuming after a restart)
     if (!meta.writeStream) {
-      meta.writeStream = fs.createWriteStream(destPath);
+      meta.writeStream = fs.createWriteStream(destPath, { flags: meta.assembledChunks > 0 ? 'a' : 'w' });
     }
 
-    // Drain as many sequential chunks as are available
-    while (meta.pendingChunkSet.has(meta.assembledChunks)) {
+    // Drain as many sequential chunks as are available (stop between chunks on shutdown)
+    while (!shuttingDown && meta.pendingChunkSet.has(meta.assembledChunks)) {
       const idx = meta.assembledChunks;
-      const chunkPath = path.join(chunksDir, uploadId, `chunk_${String(idx).padStart(6, '0')}`);
+      const chunkPath = path.join(chunksDir, uploadId, chunkFileName(idx));
+      const appendStartedAt = Date.now();
 
       await new Promise((resolve, reject) => {
         const rs = fs.createReadStream(chunkPath);
@@ -122,45 +1090,33 @@ async function assembleSequential(uploadId, meta) {
         rs.on('end', resolve);
         rs.on('error', reject);
       });
+      // Wait for the chunk to reach the file before counting it as assembled,
+      // so readers never see assembledChunks ahead of what's on disk
+      await new Promise((resolve, reject) => {
+        meta.writeStream.write(Buffer.alloc(0), err => (err ? reject(err) : resolve()));
+      });
+      chunkAssemblySeconds.observe((Date.now() - appendStartedAt) / 1000);
 
-      await fsp.unlink(chunkPath).catch(() => {});
-      meta.pendingChunkSet.delete(idx);
       meta.assembledChunks++;
+      meta.pendingChunkSet.delete(idx);
+      await fsp.unlink(chunkPath).catch(() => {});
+      schedulePersist();
+      if (!(await checkContainer(uploadId, meta))) return;
+      await probeSeekIndex(uploadId, meta);
 
       // Emit buffering progress to viewers while building toward the start threshold.
       // 1% of the total file assembled = 10% of the required buffer on the client side
       // (since stream-ready fires at 10%). We emit on every chunk so the bar is smooth.
-      if (!meta.streamReadyEmitted && rooms[meta.roomId]) {
+      if (!meta.streamReadyEmitted && isCurrentUpload(uploadId, meta)) {
         const thresholdChunks = Math.ceil(meta.totalChunks * STREAM_READY_THRESHOLD);
         const pct = Math.min(99, Math.round((meta.assembledChunks / thresholdChunks) * 100));
         io.to(meta.roomId).emit('stream-buffering', { progress: pct });
       }
 
-      // Emit stream-ready once the 10% threshold is crossed
-      if (!meta.streamReadyEmitted &&
-          meta.assembledChunks >= Math.ceil(meta.totalChunks * STREAM_READY_THRESHOLD)) {
-        meta.streamReadyEmitted = true;
-        console.log(`stream-ready (${Math.round(meta.assembledChunks / meta.totalChunks * 100)}%) for ${uploadId}`);
-        if (rooms[meta.roomId]) {
-          io.to(meta.roomId).emit('stream-ready', {
-            uploadId,
-            streamUrl: `/stream/${uploadId}`,
-            fileName: meta.fileName,
-            fileType: meta.fileType,
-            fileSize: meta.fileSize
-          });
-        }
-      }
+      maybeEmitStreamReady(uploadId, meta);
 
-      // If a host seek landed in unassembled territory, ungate playback once we reach it
-      if (rooms[meta.roomId]?.pendingSeekByte) {
-        const assembledBytes = meta.assembledChunks * CHUNK_SIZE;
-        if (assembledBytes >= rooms[meta.roomId].pendingSeekByte) {
-          console.log(`[seek-buffered] assembly reached seek position (${assembledBytes} bytes)`);
-          rooms[meta.roomId].pendingSeekByte = null;
-          io.to(meta.roomId).emit('seek-buffered');
-        }
-      }
+      // If a host seek landed in missing territory, ungate playback once it's here
+      checkPendingSeek(uploadId, meta);
     }
 
     // Finalise when every chunk is in
@@ -173,35 +1129,78 @@ async function assembleSequential(uploadId, meta) {
       });
       meta.writeStream = null;
       await fsp.rm(path.join(chunksDir, uploadId), { recursive: true, force: true }).catch(() => {});
-      console.log(`Fully assembled: ${uploadId}`);
-
-      // For tiny files (<10 chunks) that didn't hit the 10% threshold mid-stream
-      if (!meta.streamReadyEmitted && rooms[meta.roomId]) {
-        meta.streamReadyEmitted = true;
-        io.to(meta.roomId).emit('stream-ready', {
-          uploadId, streamUrl: `/stream/${uploadId}`,
-          fileName: meta.fileName, fileType: meta.fileType, fileSize: meta.fileSize
-        });
+      uploadLog.info('Fully assembled', { uploadId });
+      await probeSeekIndex(uploadId, meta);
+
+      // Whole-file integrity check when the client declared a hash at init;
+      // a file that doesn't match is not the one the host meant to share
+      if (meta.sha256) {
+        const actual = await hashFile(destPath);
+        meta.verified = actual === meta.sha256.toLowerCase();
+        if (!meta.verified) {
+          uploadLog.error('Whole-file SHA-256 mismatch', { uploadId, expected: meta.sha256, actual });
+          if (rooms[meta.roomId]) {
+            io.to(meta.roomId).emit('upload-integrity-error', {
+              uploadId,
+              expected: meta.sha256,
+              actual
+            });
+          }
+          rejectUpload(uploadId, meta, 'INTEGRITY_MISMATCH', 'File does not match the SHA-256 declared at init');
+          return;
+        }
       }
+      schedulePersist();
+
+      // For tiny files, and trailing-moov files whose tail never came early
+      maybeEmitStreamReady(uploadId, meta);
     }
   } catch (err) {
-    console.error(`assembleSequential error for ${uploadId}:`, err);
+    uploadLog.error('assembleSequential failed', { uploadId, err });
   } finally {
     meta.assembling = false;
     // If more chunks arrived while we were running, go again
-    if (meta.pendingChunkSet.has(meta.assembledChunks)) {
+    if (!shuttingDown && uploads[uploadId] === meta && meta.pendingChunkSet.has(meta.assembledChunks)) {
       setImmediate(() => assembleSequential(uploadId, meta));
     }
   }
 }
 
 // ─── Serve a growing file (supports partial content while still uploading) ───
-function pipeGrowingFile(filePath, start, end, meta, req, res) {
+// "bytes=500-999", "bytes=500-" or "bytes=-500" → { start, end }. null when the
+// range can't be satisfied; undefined for a header we don't serve (several
+// ranges, bad syntax), which is ignored so the whole file goes out.
+function parseByteRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  if (!match || (match[1] === '' && match[2] === '')) return undefined;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    start = Math.max(0, size - Number(match[2])); // last N bytes
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  if (start >= size || start > end) return null;
+  return { start, end };
+}
+
+// Ranges past the sequential file are served straight from chunks that have
+// arrived out of order (see requestPriorityChunks).
+function pipeGrowingFile(uploadId, filePath, start, end, meta, req, res) {
   let position = start;
   let timer = null;
   let aborted = false;
 
   req.on('close', () => { aborted = true; if (timer) clearTimeout(timer); });
+  streamReaders.inc();
+  openStreams.add(res);
+  res.once('close', () => {
+    streamReaders.dec();
+    openStreams.delete(res);
+  });
 
   function readNext() {
     if (aborted || res.destroyed) return;
@@ -213,6 +1212,7 @@ function pipeGrowingFile(filePath, start, end, meta, req, res) {
     if (currentSize > position) {
       const availableEnd = Math.min(end, currentSize - 1);
       const rs = fs.createReadStream(filePath, { start: position, end: availableEnd });
+      rs.on('data', data => streamBytesServed.inc(data.length));
       rs.on('error', () => { if (!res.destroyed) res.end(); });
       rs.on('end', () => {
         position = availableEnd + 1;
@@ -228,49 +1228,1529 @@ function pipeGrowingFile(filePath, start, end, meta, req, res) {
       rs.pipe(res, { end: false });
     } else {
       if (meta.assembled) { if (!res.destroyed) res.end(); return; }
-      timer = setTimeout(readNext, 150);
+      // Nothing more will be assembled before the restart
+      if (shuttingDown) { if (!res.destroyed) res.end(); return; }
+
+      const idx = Math.floor(position / CHUNK_SIZE);
+      if (meta.pendingChunkSet.has(idx)) {
+        readFromChunk(idx);
+      } else {
+        timer = setTimeout(readNext, 150);
+      }
     }
   }
 
-  readNext();
-}
-
+  // Serve [position, end of chunk idx] from its chunk file. The assembler may
+  // unlink the file under us; if it's already gone the data is in the growing
+  // file, so we just go round again.
+  function readFromChunk(idx) {
+    const chunkStart = idx * CHUNK_SIZE;
+    const availableEnd = Math.min(end, chunkStart + CHUNK_SIZE - 1);
+    const rs = fs.createReadStream(path.join(chunksDir, uploadId, chunkFileName(idx)), {
+      start: position - chunkStart,
+      end: availableEnd - chunkStart
+    });
+    let sent = 0;
+    rs.on('data', data => {
+      sent += data.length;
+      streamBytesServed.inc(data.length);
+    });
+    rs.on('error', () => {
+      position += sent;
+      timer = setTimeout(readNext, 150);
+    });
+    rs.on('end', () => {
+      position += sent;
+      timer = setTimeout(readNext, 0);
+    });
+    rs.pipe(res, { end: false });
+  }
+
+  readNext();
+}
+
 // Delete an uploaded file and its metadata
 async function deleteUploadedFile(uploadId) {
   const meta = uploads[uploadId];
-  if (!meta) return;
+  if (!meta) {
+    if (remoteUploads[uploadId]) io.serverSideEmit('delete-upload', uploadId);
+    return;
+  }
+  // Drop it from its room's queue so nobody advances into a missing file
+  const room = rooms[meta.roomId];
+  if (room && room.queue && room.queue.includes(uploadId)) {
+    room.queue = room.queue.filter(id => id !== uploadId);
+    broadcastQueue(meta.roomId);
+  }
   // Close any open write stream first
   if (meta.writeStream) {
     meta.writeStream.destroy();
     meta.writeStream = null;
   }
-  const filePath = path.join(uploadsDir, `${uploadId}.${meta.ext}`);
-  await fsp.unlink(filePath).catch(() => {});
-  await fsp.rm(path.join(chunksDir, uploadId), { recursive: true, force: true }).catch(() => {});
-  delete uploads[uploadId];
-  console.log(`Cleaned up upload ${uploadId}`);
-}
+  const filePath = path.join(uploadsDir, `${uploadId}.${meta.ext}`);
+  await fsp.unlink(filePath).catch(() => {});
+  await fsp.rm(path.join(chunksDir, uploadId), { recursive: true, force: true }).catch(() => {});
+  await Promise.all((meta.subtitles || []).map(track =>
+    fsp.unlink(path.join(subtitlesDir, `${track.trackId}.vtt`)).catch(() => {})
+  ));
+  delete uploads[uploadId];
+  delete seekIndexes[uploadId];
+  schedulePersist();
+  uploadLog.info('Cleaned up upload', { uploadId });
+}
+
+// Delete the current upload and everything queued behind it (room teardown)
+function deleteRoomUploads(room) {
+  const uploadIds = [room.uploadId, ...(room.queue || [])].filter(Boolean);
+  room.queue = [];
+  uploadIds.forEach(uid => deleteUploadedFile(uid).catch(() => {}));
+  return uploadIds;
+}
+
+// ─── Playlist / queue ────────────────────────────────────────────────────────
+// rooms[roomId].uploadId is what's playing now; rooms[roomId].queue is the
+// ordered list of uploadIds that play after it. New uploads join the end of
+// the queue while something is playing, so the host can upload the next
+// episode during the current one.
+function queueEntry(uploadId) {
+  const meta = uploadInfo(uploadId);
+  if (!meta) return null;
+  return {
+    uploadId,
+    fileName: meta.fileName,
+    fileType: meta.fileType,
+    fileSize: meta.fileSize,
+    progress: meta.totalChunks ? Math.round(meta.assembledChunks / meta.totalChunks * 100) : 0,
+    ready: meta.streamReadyEmitted,
+    assembled: meta.assembled
+  };
+}
+
+function queueState(roomId) {
+  const room = rooms[roomId];
+  return {
+    roomId,
+    current: room.uploadId ? queueEntry(room.uploadId) : null,
+    upcoming: (room.queue || []).map(queueEntry).filter(Boolean)
+  };
+}
+
+function broadcastQueue(roomId) {
+  if (rooms[roomId]) io.to(roomId).emit('queue-updated', queueState(roomId));
+}
+
+// Retire the current upload and start the next queued one (if any). With
+// requeueCurrent the current upload isn't deleted but goes back to the front
+// of the queue, to play after the next one.
+function advanceQueue(roomId, { requeueCurrent = false } = {}) {
+  const room = rooms[roomId];
+  if (!room) return;
+
+  endBufferWait(roomId, 'stream-ended');
+  const previous = room.uploadId;
+  const next = room.queue.shift() || null;
+  if (requeueCurrent && previous) room.queue.unshift(previous);
+  room.uploadId = next;
+  room.syncState = null;
+  room.pendingSeekByte = null;
+  room.subtitleSettings = null;
+  room.loopRange = null;
+  if (previous && !requeueCurrent) deleteUploadedFile(previous).catch(() => {});
+
+  const meta = uploadInfo(next);
+  room.streaming = !!meta;
+  room.fileName = meta ? meta.fileName : null;
+  room.fileType = meta ? meta.fileType : null;
+  roomLog.info('Queue advanced', { roomId, previous, next });
+
+  // Notify non-chat-only users about the new streaming status
+  room.users.forEach(user => {
+    if (!user.isChatOnly) {
+      io.to(user.id).emit('streaming-status', {
+        isStreaming: room.streaming,
+        fileName: room.fileName,
+        fileType: room.fileType,
+        uploadId: next,
+        subtitles: subtitleTracks(next)
+      });
+    }
+  });
+
+  if (!meta) endParty(roomId);
+  if (meta) {
+    if (meta.streamReadyEmitted) {
+      io.to(roomId).emit('stream-ready', streamReadyPayload(next, meta));
+    } else {
+      const thresholdChunks = Math.ceil(meta.totalChunks * STREAM_READY_THRESHOLD);
+      const pct = Math.min(99, Math.round((meta.assembledChunks / thresholdChunks) * 100));
+      io.to(roomId).emit('stream-buffering', { progress: pct });
+    }
+  }
+
+  broadcastQueue(roomId);
+  schedulePersist();
+}
+
+// ─── Chat history ────────────────────────────────────────────────────────────
+// Each room keeps a bounded log of its messages so late joiners can catch up.
+// Deleted messages stay in the log as tombstones so paging by id stays stable.
+const CHAT_HISTORY_LIMIT = parseInt(process.env.CHAT_HISTORY_LIMIT, 10) || 500;
+const CHAT_PAGE_SIZE = 50;
+const MAX_REACTION_LENGTH = 32;
+
+function appendChatMessage(room, message) {
+  if (!room.messages) room.messages = [];
+  room.messages.push(message);
+  if (room.messages.length > CHAT_HISTORY_LIMIT) {
+    room.messages.splice(0, room.messages.length - CHAT_HISTORY_LIMIT);
+  }
+}
+
+// Post a message from the server itself (admin notices, poll results)
+function postSystemMessage(room, text) {
+  const chatMessage = {
+    id: crypto.randomBytes(8).toString('hex'),
+    user: 'System',
+    authorId: null,
+    system: true,
+    text,
+    time: new Date().toISOString(),
+    editedAt: null,
+    deleted: false,
+    reactions: {}
+  };
+  appendChatMessage(room, chatMessage);
+  schedulePersist();
+  io.to(room.id).emit('newMessage', chatMessage);
+  return chatMessage;
+}
+
+function findChatMessage(room, messageId) {
+  return room && room.messages ? room.messages.find(m => m.id === messageId) : null;
+}
+
+// One page of history, oldest first, ending just before `before` (or at the newest)
+function chatHistoryPage(roomId, before, limit) {
+  const messages = (rooms[roomId] && rooms[roomId].messages) || [];
+  const pageSize = Math.max(1, Math.min(parseInt(limit, 10) || CHAT_PAGE_SIZE, CHAT_PAGE_SIZE));
+  let end = messages.length;
+  if (before) {
+    const idx = messages.findIndex(m => m.id === before);
+    if (idx !== -1) end = idx;
+  }
+  const start = Math.max(0, end - pageSize);
+  return {
+    roomId,
+    messages: messages.slice(start, end),
+    hasMore: start > 0
+  };
+}
+
+// ─── Timeline comments ───────────────────────────────────────────────────────
+// Comments and emoji reactions pinned to a point in the video rather than to
+// the chat. Each one stores the room's playback position when it was sent
+// (from syncState, not from the client) and belongs to the upload that was
+// playing:
+//
+//   timelines[uploadId] = { uploadId, roomId, fileName, createdAt, endedAt,
+//                           comments: [{ id, kind, text, user, authorId, mediaTime, createdAt }] }
+//
+// comments stay sorted by mediaTime (insertTimelineComment), so the ticker
+// below finds each window with a binary search instead of a scan.
+//
+// New comments go to the whole room at once (timeline-comment). While a room
+// plays, comments made earlier are pushed to its viewers as the playhead
+// passes them (timeline-comments-reached) — e.g. on a rewatch or for late
+// joiners. Seeks and loop jumps skip ahead silently instead of replaying
+// everything in between. Timelines outlive their upload and room by
+// TIMELINE_RETENTION_MS so the host can still export them (GET
+// /timelines/:timelineId as WebVTT or JSON) — with the host token they had,
+// even once it has expired (see canExportTimeline).
+const MAX_TIMELINE_COMMENTS = 5000;
+const TIMELINE_RETENTION_MS = parseInt(process.env.TIMELINE_RETENTION_MS, 10) || 7 * 24 * 60 * 60 * 1000;
+const TIMELINE_TICK_MS = 500;
+const TIMELINE_CUE_SECONDS = 4; // how long an exported comment stays on screen
+const timelineCursors = Object.create(null); // roomId → { uploadId, position, at } last playhead the ticker saw
+
+function timelineFor(room) {
+  const uploadId = room.uploadId;
+  if (!timelines[uploadId]) {
+    const meta = uploadInfo(uploadId);
+    timelines[uploadId] = {
+      uploadId,
+      roomId: room.id,
+      fileName: meta ? meta.fileName : null,
+      createdAt: Date.now(),
+      endedAt: null,
+      comments: []
+    };
+  }
+  return timelines[uploadId];
+}
+
+// Index of the first comment with mediaTime >= time (after all of them at
+// exactly time when `after` is set)
+function timelineIndex(comments, time, after = false) {
+  let lo = 0;
+  let hi = comments.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (comments[mid].mediaTime < time || (after && comments[mid].mediaTime === time)) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Comments at the same mediaTime keep the order they were sent in
+function insertTimelineComment(timeline, comment) {
+  timeline.comments.splice(timelineIndex(timeline.comments, comment.mediaTime, true), 0, comment);
+}
+
+// Comments of one upload with from <= mediaTime < to, in timeline order
+function timelineRange(uploadId, from = 0, to = Infinity) {
+  const timeline = timelines[uploadId];
+  if (!timeline) return [];
+  const comments = timeline.comments;
+  return comments.slice(timelineIndex(comments, from), timelineIndex(comments, to));
+}
+
+// Push comments the playhead passed since the last tick to the viewers on
+// this instance (every instance serves its own sockets)
+function pushReachedComments(roomId, now) {
+  const room = rooms[roomId];
+  const playing = room && room.uploadId && room.syncState && room.syncState.isPlaying;
+  if (!playing || !timelines[room.uploadId]) {
+    delete timelineCursors[roomId];
+    return;
+  }
+
+  const position = projectedPosition(room.syncState, now, room.loopRange);
+  const cursor = timelineCursors[roomId];
+  timelineCursors[roomId] = { uploadId: room.uploadId, position, at: now };
+  if (!cursor || cursor.uploadId !== room.uploadId) return;
+
+  // A jump (seek, loop back, rate glitch) starts a fresh window
+  const expected = (now - cursor.at) / 1000 * playbackRateOf(room.syncState);
+  const advanced = position - cursor.position;
+  if (advanced <= 0 || advanced > expected + 2) return;
+
+  // Comments sent during this window were already delivered live
+  const reached = timelineRange(room.uploadId, cursor.position, position)
+    .filter(comment => comment.createdAt < cursor.at);
+  if (reached.length === 0) return;
+  room.users.forEach(user => {
+    if (user.isChatOnly || user.active === false) return;
+    io.local.to(user.id).emit('timeline-comments-reached', { roomId, uploadId: room.uploadId, comments: reached });
+  });
+}
+
+setInterval(() => {
+  const now = Date.now();
+  Object.keys(rooms).forEach(roomId => pushReachedComments(roomId, now));
+  Object.keys(timelineCursors).forEach(roomId => {
+    if (!rooms[roomId]) delete timelineCursors[roomId];
+  });
+}, TIMELINE_TICK_MS);
+
+// Mark timelines whose upload is gone as ended; forget them after the retention period
+function sweepTimelines(now) {
+  Object.entries(timelines).forEach(([uploadId, timeline]) => {
+    if (!timeline.endedAt && !uploadInfo(uploadId)) {
+      timeline.endedAt = now;
+      schedulePersist();
+    }
+    if (timeline.endedAt && (timeline.comments.length === 0 || now - timeline.endedAt > TIMELINE_RETENTION_MS)) {
+      delete timelines[uploadId];
+      schedulePersist();
+    }
+  });
+}
+
+function escapeCueText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// A blank line ends a cue, so no line break may leave one behind: CR and CRLF
+// become LF, runs of them a single one
+function cueLines(text) {
+  return escapeCueText(text).replace(/\r\n?/g, '\n').replace(/\n+/g, '\n').replace(/^\n|\n$/g, '');
+}
+
+// One cue per comment, the author as the WebVTT voice
+function timelineToWebVTT(comments) {
+  return subtitles.cuesToWebVTT(comments.map(comment => ({
+    start: comment.mediaTime,
+    end: comment.mediaTime + TIMELINE_CUE_SECONDS,
+    text: `<v ${cueLines(comment.user).replace(/\n/g, ' ')}>${cueLines(comment.text)}`,
+    settings: ''
+  })));
+}
+
+// The host token the room had works for its export after it expires — the
+// room is usually gone by then — provided it was issued before the timeline
+// ended, so a later room that reuses the id gets nothing
+function canExportTimeline(token, timeline) {
+  if (verifyHostToken(token, timeline.roomId)) return true;
+  const claims = readToken(token);
+  if (!claims || claims.roomId !== String(timeline.roomId)) return false;
+  if (!timeline.endedAt || claims.iat > timeline.endedAt) return false;
+  const room = rooms[timeline.roomId];
+  return !room || (claims.gen || 0) === (room.hostGeneration || 0);
+}
+
+// ─── Clock synchronisation ───────────────────────────────────────────────────
+// NTP-style estimate of each socket's round-trip time and clock offset, built
+// from the heartbeat exchange. The client echoes the clientTime of the last
+// heartbeat-ack it received together with its local receive time; the server
+// kept its own receive/send times for that ack, giving the four timestamps:
+//
+//   t0 client send → t1 server receive → t2 server send → t3 client receive
+//   rtt    = (t3 - t0) - (t2 - t1)
+//   offset = ((t1 - t0) + (t2 - t3)) / 2     (server clock minus client clock)
+//
+// Samples are kept in a small rolling window; the estimate only uses the
+// faster half (rtt <= median), which throws away samples inflated by queueing.
+const CLOCK_SAMPLE_WINDOW = 8;
+const MAX_CLIENT_TIMESTAMP_SKEW = 10000; // ignore client timestamps further off than this
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function recordClockSample(health, lastAck) {
+  const sent = health.lastAckSent;
+  if (!sent || !lastAck || lastAck.clientTime !== sent.clientTime) return;
+  const t0 = sent.clientTime;
+  const t1 = sent.serverReceiveTime;
+  const t2 = sent.serverSendTime;
+  const t3 = lastAck.receivedAt;
+  if (!Number.isFinite(t0) || !Number.isFinite(t3)) return;
+
+  const rtt = (t3 - t0) - (t2 - t1);
+  if (rtt < 0 || rtt > 60000) return; // clock stepped or garbage — not a usable sample
+  const offset = ((t1 - t0) + (t2 - t3)) / 2;
+  heartbeatRttSeconds.observe(rtt / 1000);
+
+  health.clockSamples = [...(health.clockSamples || []), { rtt, offset }].slice(-CLOCK_SAMPLE_WINDOW);
+  const medianRtt = median(health.clockSamples.map(sample => sample.rtt));
+  const good = health.clockSamples.filter(sample => sample.rtt <= medianRtt);
+  health.rtt = Math.round(medianRtt);
+  health.clockOffset = Math.round(good.reduce((sum, sample) => sum + sample.offset, 0) / good.length);
+  health.clockSyncedAt = Date.now();
+}
+
+// Server-clock time at which a client-reported state was true. Uses the
+// client's own timestamp translated through its clock offset when we have one
+// and it's plausible; otherwise the receive time minus half the round trip.
+function effectiveAtFor(socketId, clientTimestamp, receivedAt) {
+  const health = connectionHealth[socketId];
+  if (health && Number.isFinite(health.clockOffset) && Number.isFinite(clientTimestamp)) {
+    const translated = clientTimestamp + health.clockOffset;
+    if (translated <= receivedAt && receivedAt - translated < MAX_CLIENT_TIMESTAMP_SKEW) {
+      return Math.round(translated);
+    }
+  }
+  const oneWay = health && Number.isFinite(health.rtt) ? health.rtt / 2 : 0;
+  return Math.round(receivedAt - oneWay);
+}
+
+// Per-recipient clock fields, so each viewer can map effectiveAt to its own clock
+function clockFieldsFor(socketId) {
+  const health = connectionHealth[socketId];
+  return {
+    serverTime: Date.now(),
+    clockOffset: health && Number.isFinite(health.clockOffset) ? health.clockOffset : null,
+    rtt: health && Number.isFinite(health.rtt) ? health.rtt : null
+  };
+}
+
+// ─── Wait for everyone ───────────────────────────────────────────────────────
+// Opt-in per room (set-wait-for-everyone, host only). Viewers report when their
+// player stalls (playback-buffering) and when it can play again
+// (playback-ready). While the room is playing, a stall pauses everyone at the
+// room's position — or a little earlier, where the stalled viewer is — and
+// starts a buffer wait: the room is told who it is waiting for (buffer-wait)
+// and resumes together once all of them are ready (buffer-wait-ended). Anyone
+// still not ready after the room's timeoutMs is dropped from the wait and
+// can't start another one until they report ready. Chat-only users never
+// take part. A host play or seek-and-play during a wait overrides it.
+//
+//   room.waitForEveryone = { enabled, timeoutMs }
+//   room.bufferWait      = { id, waiting: { socketId: since }, currentTime, startedAt } | null
+//   room.bufferExcused   = [socketId]   dropped stragglers
+const BUFFER_WAIT_TIMEOUT_MS = parseInt(process.env.BUFFER_WAIT_TIMEOUT_MS, 10) || 20000;
+const MAX_BUFFER_REWIND_SECONDS = 10; // never pull the room back further than this for one viewer
+const bufferWaitTimers = Object.create(null); // roomId → straggler timeout (per process)
+
+// Where the room's playback is now, from its last sync state (at its
+// playback rate, wrapping inside an A–B loop the anchor was before the end of)
+function projectedPosition(syncState, now = Date.now(), loopRange = null) {
+  if (!syncState) return 0;
+  if (!syncState.isPlaying) return syncState.currentTime;
+  const since = syncState.effectiveAt || syncState.timestamp;
+  const position = syncState.currentTime + Math.max(0, now - since) / 1000 * playbackRateOf(syncState);
+  if (!loopRange || syncState.currentTime >= loopRange.end || position < loopRange.end) return position;
+  return loopRange.start + (position - loopRange.end) % (loopRange.end - loopRange.start);
+}
+
+function bufferWaitView(roomId) {
+  const room = rooms[roomId];
+  const wait = room.bufferWait;
+  return {
+    roomId,
+    currentTime: wait.currentTime,
+    startedAt: wait.startedAt,
+    waitingFor: Object.entries(wait.waiting).map(([userId, since]) => {
+      const user = room.users.find(u => u.id === userId);
+      return { userId, username: user ? user.username : null, since, dropAt: since + room.waitForEveryone.timeoutMs };
+    })
+  };
+}
+
+// Viewers follow room pauses/resumes through the usual videoStateUpdate; the
+// host's client acts on buffer-wait / buffer-wait-ended itself
+function sendSyncStateToViewers(room) {
+  room.users.forEach(user => {
+    if (user.isChatOnly || user.id === room.host) return;
+    io.to(user.id).emit('videoStateUpdate', {
+      currentTime: room.syncState.currentTime,
+      isPlaying: room.syncState.isPlaying,
+      playbackRate: playbackRateOf(room.syncState),
+      timestamp: Date.now(),
+      effectiveAt: room.syncState.effectiveAt,
+      ...clockFieldsFor(user.id)
+    });
+  });
+}
+
+// Drop whoever has been waited for longer than the room's timeout; schedule
+// the next check for the earliest remaining straggler
+function armBufferWaitTimer(roomId) {
+  clearTimeout(bufferWaitTimers[roomId]);
+  delete bufferWaitTimers[roomId];
+  const room = rooms[roomId];
+  if (!room || !room.bufferWait) return;
+
+  const waitId = room.bufferWait.id;
+  const nextDrop = Math.min(...Object.values(room.bufferWait.waiting)) + room.waitForEveryone.timeoutMs;
+  bufferWaitTimers[roomId] = setTimeout(() => {
+    delete bufferWaitTimers[roomId];
+    const current = rooms[roomId];
+    if (!current || !current.bufferWait || current.bufferWait.id !== waitId) return;
+
+    const now = Date.now();
+    const dropped = Object.keys(current.bufferWait.waiting)
+      .filter(id => current.bufferWait.waiting[id] + current.waitForEveryone.timeoutMs <= now);
+    dropped.forEach(id => {
+      delete current.bufferWait.waiting[id];
+      if (!current.bufferExcused.includes(id)) current.bufferExcused.push(id);
+    });
+    syncLog.info('Dropped stragglers from buffer wait', { roomId, dropped });
+
+    if (Object.keys(current.bufferWait.waiting).length === 0) {
+      endBufferWait(roomId, 'timeout', dropped);
+    } else {
+      io.to(roomId).emit('buffer-wait', { ...bufferWaitView(roomId), dropped });
+      armBufferWaitTimer(roomId);
+      schedulePersist();
+    }
+  }, Math.max(0, nextDrop - Date.now()));
+}
+
+function startBufferWait(roomId, socketId, reportedTime) {
+  const room = rooms[roomId];
+  const now = Date.now();
+  const roomPosition = projectedPosition(room.syncState, now, room.loopRange);
+  const position = Number.isFinite(reportedTime) && reportedTime < roomPosition &&
+    roomPosition - reportedTime <= MAX_BUFFER_REWIND_SECONDS ? reportedTime : roomPosition;
+
+  room.bufferWait = {
+    id: crypto.randomBytes(6).toString('hex'),
+    waiting: { [socketId]: now },
+    currentTime: position,
+    startedAt: now
+  };
+  room.syncState = { ...room.syncState, currentTime: position, isPlaying: false, timestamp: now, effectiveAt: now };
+  bufferWaitsStarted.inc();
+  syncLog.info('Buffer wait started', { roomId, userId: socketId, currentTime: position });
+
+  sendSyncStateToViewers(room);
+  io.to(roomId).emit('buffer-wait', bufferWaitView(roomId));
+  armBufferWaitTimer(roomId);
+  schedulePersist();
+}
+
+function addBufferWaiter(roomId, socketId) {
+  const wait = rooms[roomId].bufferWait;
+  if (wait.waiting[socketId]) return;
+  wait.waiting[socketId] = Date.now();
+  io.to(roomId).emit('buffer-wait', bufferWaitView(roomId));
+  armBufferWaitTimer(roomId);
+  schedulePersist();
+}
+
+// A user is ready again (or gone): stop waiting for them and let them start
+// waits again; the last one out resumes the room
+function releaseBufferWaiter(roomId, socketId) {
+  const room = rooms[roomId];
+  if (!room) return;
+  room.bufferExcused = (room.bufferExcused || []).filter(id => id !== socketId);
+  if (!room.bufferWait || !room.bufferWait.waiting[socketId]) return;
+
+  delete room.bufferWait.waiting[socketId];
+  if (Object.keys(room.bufferWait.waiting).length === 0) {
+    endBufferWait(roomId, 'ready');
+  } else {
+    io.to(roomId).emit('buffer-wait', bufferWaitView(roomId));
+    armBufferWaitTimer(roomId);
+    schedulePersist();
+  }
+}
+
+// reason: 'ready' | 'timeout' | 'disabled' resume playback from the wait's
+// position; 'host' (the host took over) and 'stream-ended' leave it alone
+function endBufferWait(roomId, reason, dropped = []) {
+  const room = rooms[roomId];
+  if (!room || !room.bufferWait) return;
+  const wait = room.bufferWait;
+  room.bufferWait = null;
+  clearTimeout(bufferWaitTimers[roomId]);
+  delete bufferWaitTimers[roomId];
+  bufferWaitSeconds.observe({ reason }, (Date.now() - wait.startedAt) / 1000);
+
+  let resume = null;
+  if (['ready', 'timeout', 'disabled'].includes(reason)) {
+    const now = Date.now();
+    room.syncState = { ...room.syncState, currentTime: wait.currentTime, isPlaying: true, timestamp: now, effectiveAt: now };
+    resume = { currentTime: wait.currentTime, isPlaying: true, playbackRate: playbackRateOf(room.syncState), effectiveAt: now };
+    sendSyncStateToViewers(room);
+  }
+  syncLog.info('Buffer wait ended', { roomId, reason, waitedMs: Date.now() - wait.startedAt });
+  io.to(roomId).emit('buffer-wait-ended', { roomId, reason, dropped, resume });
+  schedulePersist();
+}
+
+// ─── Playback rate and loop ──────────────────────────────────────────────────
+// syncState.playbackRate (1 when missing) travels with every sync message —
+// videoStateUpdate, videoSeekOperation, fallback-sync-state — and scales how
+// far playback has moved since effectiveAt. The host changes it on its own
+// with set-playback-rate. room.loopRange = { start, end } (seconds) is an A–B
+// repeat set by the host with set-loop-range: playback that reaches end jumps
+// back to start. Both reset when the room moves on to another upload.
+//
+// room.audio = { muted, volume } mirrors the host's mute button (set-audio-state).
+// volume is the host's level normalised to 0–1, not a level to copy: viewers
+// keep their own volume and may scale it by it (so a host turning a loud scene
+// down turns everyone down by the same share). It outlives uploads.
+const MIN_LOOP_SECONDS = 0.5;
+
+function playbackRateOf(syncState) {
+  return (syncState && syncState.playbackRate) || 1;
+}
+
+// Rate for a new sync state: the one the host sent, else whatever was in effect
+function nextPlaybackRate(roomId, sentRate) {
+  return sentRate || playbackRateOf(rooms[roomId] && rooms[roomId].syncState);
+}
+
+// ─── Scheduled watch parties ─────────────────────────────────────────────────
+// The host can book a room for a future start (POST /rooms/:roomId/schedule)
+// and attach the upload to play, before anyone is connected. room.party holds
+// the lifecycle:
+//
+//   scheduled  booked; only the host may join
+//   lobby      from PARTY_LOBBY_MS before the start: everyone may join and sees
+//              the countdown (room-lifecycle carries serverTime for the clock)
+//   playing    the server started playback for everyone with one party-started
+//              event, at startsAt or — if the upload wasn't stream-ready then —
+//              as soon as it is; the host can also start-party early
+//   ended      the party's last upload finished; ordinary room cleanup applies
+//
+// Until it starts, a party room survives being empty or idle (up to
+// PARTY_NO_SHOW_MS past its start time), and the host leaving doesn't tear
+// down its upload. The instance that scheduled a party runs its timers; any
+// other instance takes over once a step is PARTY_TAKEOVER_MS overdue.
+const PARTY_LOBBY_MS = parseInt(process.env.PARTY_LOBBY_MS, 10) || 15 * 60 * 1000;
+const PARTY_NO_SHOW_MS = parseInt(process.env.PARTY_NO_SHOW_MS, 10) || 2 * 60 * 60 * 1000;
+const MAX_PARTY_LEAD_MS = 30 * 24 * 60 * 60 * 1000;
+const PARTY_TAKEOVER_MS = 30000;
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000; // setTimeout can't wait 30 days; re-arm daily
+const MAX_PARTY_TITLE_LENGTH = 100;
+const partyTimers = Object.create(null); // roomId → timer for the party's next step (owning instance only)
+
+// Booked and not started yet (nor given up on)
+function isPartyPending(room, now = Date.now()) {
+  return !!room.party &&
+    (room.party.state === 'scheduled' || room.party.state === 'lobby') &&
+    now < room.party.startsAt + PARTY_NO_SHOW_MS;
+}
+
+function partyView(roomId) {
+  const room = rooms[roomId];
+  const party = room.party;
+  return {
+    roomId,
+    state: party.state,
+    title: party.title,
+    startsAt: party.startsAt,
+    lobbyOpensAt: party.startsAt - PARTY_LOBBY_MS,
+    startedAt: party.startedAt,
+    endedAt: party.endedAt,
+    uploadId: room.uploadId || null,
+    waitingForUpload: !!party.waitingForUpload,
+    serverTime: Date.now()
+  };
+}
+
+function broadcastParty(roomId) {
+  io.to(roomId).emit('room-lifecycle', partyView(roomId));
+}
+
+// When the party's next timed step is due (null when nothing is timed)
+function nextPartyStepAt(party) {
+  if (party.state === 'scheduled') return party.startsAt - PARTY_LOBBY_MS;
+  if (party.state === 'lobby' && !party.waitingForUpload) return party.startsAt;
+  return null;
+}
+
+function armPartyTimer(roomId) {
+  clearTimeout(partyTimers[roomId]);
+  delete partyTimers[roomId];
+  const party = rooms[roomId] && rooms[roomId].party;
+  if (!party || party.instanceId !== INSTANCE_ID) return;
+  const dueAt = nextPartyStepAt(party);
+  if (dueAt === null) return;
+
+  partyTimers[roomId] = setTimeout(() => {
+    delete partyTimers[roomId];
+    advanceParty(roomId);
+  }, Math.min(MAX_TIMER_MS, Math.max(0, dueAt - Date.now())));
+}
+
+// Take whatever lifecycle steps are due now
+function advanceParty(roomId) {
+  const room = rooms[roomId];
+  const party = room && room.party;
+  if (!party) return;
+  const now = Date.now();
+
+  if (party.state === 'scheduled' && now >= party.startsAt - PARTY_LOBBY_MS) {
+    party.state = 'lobby';
+    roomLog.info('Party lobby open', { roomId, startsAt: party.startsAt });
+    broadcastParty(roomId);
+    schedulePersist();
+  }
+  if (party.state === 'lobby' && now >= party.startsAt) {
+    const meta = uploadInfo(room.uploadId);
+    if (meta && meta.streamReadyEmitted) {
+      startParty(roomId, 'schedule');
+    } else if (!party.waitingForUpload) {
+      party.waitingForUpload = true;
+      roomLog.warn('Party start is due but its upload is not stream-ready yet', { roomId, uploadId: room.uploadId });
+      broadcastParty(roomId);
+      schedulePersist();
+    }
+  }
+  armPartyTimer(roomId);
+}
+
+// One authoritative start for everybody: server-clock effectiveAt, position 0
+function startParty(roomId, startedBy) {
+  const room = rooms[roomId];
+  const party = room.party;
+  const meta = uploadInfo(room.uploadId);
+  const now = Date.now();
+
+  party.state = 'playing';
+  party.startedAt = now;
+  party.waitingForUpload = false;
+  room.streaming = true;
+  room.fileName = meta.fileName;
+  room.fileType = meta.fileType;
+  room.syncState = {
+    currentTime: 0,
+    isPlaying: true,
+    playbackRate: playbackRateOf(room.syncState),
+    timestamp: now,
+    effectiveAt: now,
+    hostId: room.host
+  };
+  clearTimeout(partyTimers[roomId]);
+  delete partyTimers[roomId];
+  room.lastActive = now;
+  schedulePersist();
+
+  roomLog.info('Party started', { roomId, startedBy, uploadId: room.uploadId });
+  io.to(roomId).emit('party-started', {
+    ...partyView(roomId),
+    startedBy,
+    streamUrl: `/stream/${room.uploadId}`,
+    currentTime: 0,
+    isPlaying: true,
+    playbackRate: room.syncState.playbackRate,
+    effectiveAt: now
+  });
+}
+
+// The party's playback is over (queue ran out or the host stopped streaming)
+function endParty(roomId) {
+  const room = rooms[roomId];
+  if (!room || !room.party || room.party.state !== 'playing') return;
+  room.party.state = 'ended';
+  room.party.endedAt = Date.now();
+  roomLog.info('Party ended', { roomId });
+  broadcastParty(roomId);
+}
+
+// Periodic safety net: steps an owner missed (it died, or a timer was lost)
+function checkPartyTakeover(roomId, now) {
+  const party = rooms[roomId].party;
+  if (!party || party.instanceId === INSTANCE_ID) return;
+  const dueAt = nextPartyStepAt(party);
+  if (dueAt === null || now - dueAt < PARTY_TAKEOVER_MS) return;
+  roomLog.warn('Taking over overdue party', { roomId, from: party.instanceId });
+  party.instanceId = INSTANCE_ID;
+  advanceParty(roomId);
+}
+
+// ─── Polls ───────────────────────────────────────────────────────────────────
+// The host puts a question to the room (create-poll); everyone in it votes
+// once per session — voting again replaces the earlier choice, an empty
+// optionIds withdraws it. Tallies go out live (poll-updated) and the result is
+// posted to chat as a system message when the poll closes: at its deadline,
+// or when the host closes it.
+//
+// An option may carry an action the server applies if that option wins
+// outright (a tie or no votes applies nothing):
+//   { type: 'seek', time }              everyone jumps to time (skip the intro)
+//   { type: 'skip' }                    advance the queue, like queue-next
+//   { type: 'play-next', uploadId }     move a queued upload to the front
+//
+// room.polls keeps open polls plus the last POLL_HISTORY_LIMIT closed ones.
+// Votes are keyed by session id and never leave the server; named polls show
+// voters by username. Like a ban (see clientAddressKey), a vote also remembers
+// the voter's address: a new session voting from the address of a voter who
+// has left the room replaces that vote instead of adding one, so rejoining
+// without the session token doesn't buy a second vote. Seats present at the
+// same time each get their vote — people sharing a connection, but also one
+// person with two tabs open. Deadlines run on the instance that created the poll;
+// the sweep closes one that is POLL_TAKEOVER_MS overdue anywhere else.
+const MAX_OPEN_POLLS = 5;
+const POLL_HISTORY_LIMIT = 20;
+const POLL_TAKEOVER_MS = 30000;
+const POLL_ACTIONS = ['seek', 'skip', 'play-next'];
+const pollTimers = Object.create(null); // pollId → deadline timer (owning instance only)
+
+function findPoll(room, pollId) {
+  return room && room.polls ? room.polls.find(poll => poll.id === pollId) : null;
+}
+
+// What clients see: counts per option, usernames unless anonymous, and — for
+// the 'polls' replay to one seat — which options that seat picked
+function pollView(roomId, poll, sessionId = null) {
+  const votes = Object.entries(poll.votes);
+  const view = {
+    roomId,
+    id: poll.id,
+    question: poll.question,
+    options: poll.options.map(option => {
+      const voters = votes.filter(([, vote]) => vote.optionIds.includes(option.id));
+      return {
+        id: option.id,
+        text: option.text,
+        action: option.action,
+        votes: voters.length,
+        voters: poll.anonymous ? undefined : voters.map(([, vote]) => vote.username)
+      };
+    }),
+    multiple: poll.multiple,
+    anonymous: poll.anonymous,
+    createdAt: poll.createdAt,
+    closesAt: poll.closesAt,
+    closed: poll.closed,
+    closedAt: poll.closedAt,
+    totalVoters: votes.length,
+    result: poll.result
+  };
+  if (sessionId) view.myVote = poll.votes[sessionId] ? poll.votes[sessionId].optionIds : [];
+  return view;
+}
+
+function openPolls(room) {
+  return (room.polls || []).filter(poll => !poll.closed);
+}
+
+// Why an option's action can't be attached, or null when it can
+function pollActionProblem(room, action) {
+  if (!action) return null;
+  if (!POLL_ACTIONS.includes(action.type)) return `action.type must be one of ${POLL_ACTIONS.join(', ')}`;
+  if (action.type === 'seek' && typeof action.time !== 'number') return 'a seek action needs a time';
+  if (action.type === 'play-next' && !room.queue.includes(action.uploadId)) return 'a play-next action needs the uploadId of a queued upload';
+  return null;
+}
+
+function armPollTimer(roomId, poll) {
+  clearTimeout(pollTimers[poll.id]);
+  delete pollTimers[poll.id];
+  if (poll.closed || !poll.closesAt || poll.instanceId !== INSTANCE_ID) return;
+
+  pollTimers[poll.id] = setTimeout(() => {
+    delete pollTimers[poll.id];
+    if (rooms[roomId] && findPoll(rooms[roomId], poll.id) === poll) closePoll(roomId, poll, 'deadline');
+  }, Math.max(0, poll.closesAt - Date.now()));
+}
+
+// Options with the most votes (none when nobody voted)
+function pollWinners(poll) {
+  const counts = poll.options.map(option =>
+    Object.values(poll.votes).filter(vote => vote.optionIds.includes(option.id)).length
+  );
+  const top = Math.max(...counts);
+  if (top === 0) return [];
+  return poll.options.filter((option, i) => counts[i] === top);
+}
+
+function pollResultText(poll, winners) {
+  const voters = Object.keys(poll.votes).length;
+  if (winners.length === 0) return `Poll "${poll.question}" closed with no votes`;
+  const votes = Object.values(poll.votes).filter(vote => vote.optionIds.includes(winners[0].id)).length;
+  if (winners.length > 1) {
+    return `Poll "${poll.question}" closed in a tie between ${winners.map(option => `"${option.text}"`).join(' and ')} (${votes} of ${voters} votes each)`;
+  }
+  return `Poll "${poll.question}" closed: "${winners[0].text}" wins with ${votes} of ${voters} votes`;
+}
+
+// Carry out the winning option's action; returns whether anything happened
+function applyPollAction(roomId, action) {
+  const room = rooms[roomId];
+  if (action.type === 'skip') {
+    if (!room.uploadId) return false;
+    advanceQueue(roomId);
+    return true;
+  }
+  if (action.type === 'play-next') {
+    const from = room.queue.indexOf(action.uploadId);
+    if (from === -1) return false;
+    room.queue.splice(from, 1);
+    room.queue.unshift(action.uploadId);
+    broadcastQueue(roomId);
+    return true;
+  }
+
+  // seek: the host's player follows too, so everyone gets the seek
+  if (!room.uploadId) return false;
+  const now = Date.now();
+  room.syncState = {
+    currentTime: action.time,
+    isPlaying: !!(room.syncState && room.syncState.isPlaying),
+    playbackRate: playbackRateOf(room.syncState),
+    timestamp: now,
+    effectiveAt: now,
+    hostId: room.host,
+    seekOperation: true
+  };
+  if (room.bufferWait) room.bufferWait.currentTime = action.time;
+  room.users.forEach(user => {
+    if (user.isChatOnly) return;
+    io.to(user.id).emit('videoSeekOperation', {
+      seekTime: action.time,
+      isPlaying: room.syncState.isPlaying,
+      playbackRate: room.syncState.playbackRate,
+      serverTimestamp: now,
+      effectiveAt: now,
+      hostId: room.host,
+      source: 'poll',
+      ...clockFieldsFor(user.id)
+    });
+  });
+  return true;
+}
+
+function closePoll(roomId, poll, closedBy) {
+  const room = rooms[roomId];
+  clearTimeout(pollTimers[poll.id]);
+  delete pollTimers[poll.id];
+
+  const winners = pollWinners(poll);
+  const winner = winners.length === 1 ? winners[0] : null;
+  poll.closed = true;
+  poll.closedAt = Date.now();
+  poll.result = {
+    winners: winners.map(option => option.id),
+    closedBy,
+    actionApplied: false
+  };
+  if (winner && winner.action) poll.result.actionApplied = applyPollAction(roomId, winner.action);
+
+  // Closed polls beyond the history limit are forgotten, oldest first
+  const closed = room.polls.filter(p => p.closed);
+  if (closed.length > POLL_HISTORY_LIMIT) {
+    const stale = new Set(closed.slice(0, closed.length - POLL_HISTORY_LIMIT));
+    room.polls = room.polls.filter(p => !stale.has(p));
+  }
+
+  roomLog.info('Poll closed', { roomId, pollId: poll.id, closedBy, winners: poll.result.winners, actionApplied: poll.result.actionApplied });
+  io.to(roomId).emit('poll-closed', pollView(roomId, poll));
+  postSystemMessage(room, pollResultText(poll, winners));
+  schedulePersist();
+}
+
+// Periodic safety net: deadlines whose owner is gone (or whose timer was lost)
+function checkPollDeadlines(roomId, now) {
+  openPolls(rooms[roomId]).forEach(poll => {
+    if (!poll.closesAt || now < poll.closesAt) return;
+    if (poll.instanceId !== INSTANCE_ID && now - poll.closesAt < POLL_TAKEOVER_MS) return;
+    if (rooms[roomId]) closePoll(roomId, poll, 'deadline');
+  });
+}
+
+// ─── Room access control ─────────────────────────────────────────────────────
+// Host tokens are HMAC-signed "<payload>.<signature>" strings handed out when a
+// room is created. Only a socket that presented a valid token for the room in
+// joinRoom becomes rooms[roomId].host; host-only socket events check that, and
+// host-only HTTP routes check the token itself (X-Host-Token / Bearer header).
+// Handing the room to someone else bumps room.hostGeneration, which retires
+// every token issued before. Tokens live HOST_TOKEN_TTL_MS unless issued with
+// their own expiry (a scheduled party's host token lasts until the party).
+const HOST_TOKEN_TTL_MS = parseInt(process.env.HOST_TOKEN_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+let hostTokenSecret = process.env.HOST_TOKEN_SECRET;
+if (!hostTokenSecret) {
+  hostTokenSecret = crypto.randomBytes(32).toString('hex');
+  log.warn('HOST_TOKEN_SECRET not set — using a random secret; host tokens will not survive a restart');
+}
+
+function signToken(claims) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const sig = crypto.createHmac('sha256', hostTokenSecret).update(payload).digest('base64url');
+  return `${payload}.${sig}`;
+}
+
+// Claims of a correctly signed token, otherwise null
+function readToken(token) {
+  if (typeof token !== 'string') return null;
+  const [payload, sig] = token.split('.');
+  if (!payload || !sig) return null;
+
+  const expected = crypto.createHmac('sha256', hostTokenSecret).update(payload).digest();
+  const given = Buffer.from(sig, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+function signHostToken(roomId, expiresAt = null) {
+  const gen = rooms[roomId] ? rooms[roomId].hostGeneration || 0 : 0;
+  const claims = { roomId, iat: Date.now(), gen };
+  if (expiresAt) claims.exp = expiresAt;
+  return signToken(claims);
+}
+
+function verifyHostToken(token, roomId) {
+  if (!roomId) return false;
+  const claims = readToken(token);
+  if (!claims || claims.roomId !== String(roomId)) return false;
+  const gen = rooms[roomId] ? rooms[roomId].hostGeneration || 0 : 0;
+  const expiresAt = claims.exp || claims.iat + HOST_TOKEN_TTL_MS;
+  return (claims.gen || 0) === gen && Date.now() < expiresAt;
+}
+
+// Session tokens identify a browser session across reconnects and rooms. A
+// client without one gets a fresh token on join (the "session" event) and
+// sends it back on every later joinRoom.
+function signSessionToken(sessionId) {
+  return signToken({ sid: sessionId });
+}
+
+function verifySessionToken(token) {
+  const claims = readToken(token);
+  return claims && typeof claims.sid === 'string' ? claims.sid : null;
+}
+
+// Host token from an HTTP request: X-Host-Token header, Bearer auth or JSON body
+function getRequestHostToken(req) {
+  const auth = req.get('authorization');
+  if (auth && auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  return req.get('x-host-token') || (req.body && req.body.hostToken) || null;
+}
+
+// Room passwords are stored as "salt:scryptHash", never in the clear. scrypt
+// runs on the libuv thread pool so a join doesn't stall every other socket.
+const scrypt = promisify(crypto.scrypt);
+
+async function hashRoomPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = (await scrypt(password, salt, 32)).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+async function checkRoomPassword(password, stored) {
+  if (typeof password !== 'string') return false;
+  const [salt, hash] = stored.split(':');
+  const actual = await scrypt(password, salt, 32);
+  return crypto.timingSafeEqual(actual, Buffer.from(hash, 'hex'));
+}
+
+// ─── Roles and moderation ────────────────────────────────────────────────────
+// Every room user has a role: 'host' (holds the host token), 'moderator'
+// (promoted by the host), 'viewer' or 'chat-only'. Promotions, mutes and bans
+// are stored per session id on the room so they survive reconnects:
+//   room.moderators = [sessionId], room.muted = [sessionId],
+//   room.bans = [{ sessionId, addressKey, username, reason, bannedBy, bannedAt }]
+// Actions only work downwards — nobody can act on an equal or higher role.
+//
+// A session id is only as sticky as the client's token: join without one and
+// you are a new session. So a ban also covers the network address the banned
+// session joined from (room.addresses maps session id → a keyed hash of it;
+// TRUST_PROXY=true takes the address from X-Forwarded-For). That is
+// best-effort: everyone else behind that address is refused too, and a user
+// who switches networks gets back in.
+const ROLE_RANK = { host: 3, moderator: 2, viewer: 1, 'chat-only': 1 };
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+
+function roleFor(room, { isHost, isChatOnly, sessionId }) {
+  if (isHost) return 'host';
+  if (room.moderators.includes(sessionId)) return 'moderator';
+  return isChatOnly ? 'chat-only' : 'viewer';
+}
+
+// Keyed hash of the socket's client address — comparable, but not the address
+function clientAddressKey(socket) {
+  const forwarded = TRUST_PROXY && socket.handshake.headers['x-forwarded-for'];
+  const address = forwarded ? forwarded.split(',')[0].trim() : socket.handshake.address;
+  return crypto.createHmac('sha256', hostTokenSecret).update(String(address)).digest('hex').slice(0, 32);
+}
+
+function isBanned(room, sessionId, addressKey) {
+  return room.bans.some(ban =>
+    ban.sessionId === sessionId || (!!addressKey && ban.addressKey === addressKey)
+  );
+}
+
+// Tell the whole room what happened, with the updated user list
+function broadcastModeration(roomId, action, target, actor, reason) {
+  roomLog.info('Moderation action', { roomId, action, actorId: actor.id, targetId: target.id });
+  io.to(roomId).emit('moderation-action', {
+    action,
+    userId: target.id,
+    username: target.username,
+    role: target.role,
+    by: actor.username,
+    reason: reason || null,
+    users: rooms[roomId].users
+  });
+  schedulePersist();
+}
+
+// Kick: drop the user from the room, tell them why and close their socket
+function removeUserFromRoom(roomId, target, payload) {
+  const room = rooms[roomId];
+  room.users = room.users.filter(u => u.id !== target.id);
+  releaseBufferWaiter(roomId, target.id);
+  forgetSocket(target.id);
+  io.to(target.id).emit('kicked', { roomId, ...payload });
+  io.in(target.id).disconnectSockets(true);
+}
+
+// Drop every per-socket map entry; the disconnect handler ignores sockets
+// that are no longer mapped to a room
+function forgetSocket(socketId) {
+  delete connectionHealth[socketId];
+  delete userSocketMap[socketId];
+  delete peerIdMap[socketId];
+}
+
+// A user is gone for good (reconnect grace period over, or evicted): take
+// them off the room, tear down the stream if they were the host and delete
+// the room with its uploads once nobody is left
+function finalizeUserRemoval(roomId, socketId) {
+  const room = rooms[roomId];
+  const user = room && room.users.find(u => u.id === socketId);
+  if (!user) return;
+  room.users = room.users.filter(u => u.id !== socketId);
+  releaseBufferWaiter(roomId, socketId);
+
+  // A booked party keeps its room (and upload) until it starts
+  if (room.users.length === 0 && !isPartyPending(room)) {
+    const uids = deleteRoomUploads(room);
+    delete rooms[roomId];
+    roomLog.info('Room deleted (empty)', { roomId, uploadIds: uids });
+    return;
+  }
+
+  // If host left and hasn't reconnected, tear down the stream — unless it
+  // belongs to a watch party, which plays without the host
+  const partyStream = room.party && room.party.state !== 'ended';
+  if (user.isHost && room.host === socketId && partyStream) {
+    room.host = null;
+  } else if (user.isHost && room.host === socketId) {
+    room.host = null;
+    const uid = room.uploadId;
+    const hadQueue = room.queue.length > 0;
+    deleteRoomUploads(room);
+    if (uid) {
+      room.uploadId = null;
+      room.streaming = false;
+      // Notify remaining viewers that the stream ended
+      io.to(roomId).emit('streaming-status', { isStreaming: false, fileName: null, fileType: null, uploadId: null });
+    }
+    if (uid || hadQueue) broadcastQueue(roomId);
+    roomLog.info('Host left — stream cleaned up', { roomId });
+  }
+
+  // Notify remaining users that this user left
+  io.to(roomId).emit('userLeft', {
+    username: user.username,
+    users: room.users.filter(u => u.active !== false)
+  });
+}
+
+// ─── Session seats ───────────────────────────────────────────────────────────
+// A room user's seat belongs to the session id in their session token. A
+// socket that joins with the token of a seat still in the room — disconnected
+// less than SESSION_RECLAIM_MS ago, or not yet noticed as gone — takes that
+// seat over: same user record, role, mute, host status (and with it the
+// room's uploads) and authorship of their chat messages. The room sees one
+// userReconnected instead of userLeft/userJoined. One seat per session: an
+// older socket still holding the seat is told (session-replaced) and dropped.
+const SESSION_RECLAIM_MS = parseInt(process.env.SESSION_RECLAIM_MS, 10) || 120000;
+
+function reclaimableSeat(room, sessionId, socketId) {
+  const now = Date.now();
+  return room.users.find(user =>
+    user.sessionId === sessionId &&
+    user.id !== socketId &&
+    (user.active !== false || now - user.disconnectedAt <= SESSION_RECLAIM_MS)
+  ) || null;
+}
+
+// Re-key a seat from its old socket to socketId; returns the old socket id
+function moveSeat(roomId, seat, socketId) {
+  const room = rooms[roomId];
+  const previousId = seat.id;
+
+  seat.id = socketId;
+  seat.active = true;
+  seat.lastActive = Date.now();
+  delete seat.disconnectedAt;
+  if (room.host === previousId) room.host = socketId;
+  (room.messages || []).forEach(message => {
+    if (message.authorId === previousId) message.authorId = socketId;
+    Object.values(message.reactions || {}).forEach(reactors => {
+      reactors.forEach(reactor => {
+        if (reactor.id === previousId) reactor.id = socketId;
+      });
+    });
+  });
+  Object.values(timelines).forEach(timeline => {
+    if (timeline.roomId !== roomId) return;
+    timeline.comments.forEach(comment => {
+      if (comment.authorId === previousId) comment.authorId = socketId;
+    });
+  });
+  if (peerIdMap[previousId] && !peerIdMap[socketId]) peerIdMap[socketId] = peerIdMap[previousId];
+
+  // Unmapping first makes the old socket's disconnect handler a no-op
+  releaseBufferWaiter(roomId, previousId);
+  forgetSocket(previousId);
+  io.to(previousId).emit('session-replaced', { roomId });
+  io.in(previousId).disconnectSockets(true);
+  return previousId;
+}
+
+// ─── WebRTC relay and TURN credentials ───────────────────────────────────────
+// Peers exchange simple-peer signal data through the 'signal' event, so no
+// signaling service is needed besides this server. For peers that can't reach
+// each other directly, GET /turn-credentials hands out short-lived TURN
+// credentials in the coturn REST-API scheme (use-auth-secret +
+// static-auth-secret=TURN_SECRET on the TURN server):
+//   username   = "<unix expiry>:<userId>"
+//   credential = base64(HMAC-SHA1(TURN_SECRET, username))
+// TURN_URLS is a comma-separated list such as
+// "turn:turn.example.com:3478,turns:turn.example.com:5349".
+const MAX_SIGNAL_BYTES = 64 * 1024; // SDP with many candidates stays well below this
+const TURN_SECRET = process.env.TURN_SECRET || null;
+const TURN_URLS = (process.env.TURN_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+const TURN_TTL_SECONDS = parseInt(process.env.TURN_TTL_SECONDS, 10) || 3600;
+
+function turnCredentials(userId, now = Date.now()) {
+  const expiresAt = Math.floor(now / 1000) + TURN_TTL_SECONDS;
+  const username = `${expiresAt}:${userId}`;
+  const credential = crypto.createHmac('sha1', TURN_SECRET).update(username).digest('base64');
+  return { username, credential, ttl: TURN_TTL_SECONDS, expiresAt: expiresAt * 1000, urls: TURN_URLS };
+}
+
+// A fresh room; joinRoom creates one for the first joiner, scheduling a party
+// creates one ahead of time
+function createRoomRecord(roomId, hostId = null) {
+  return {
+    id: roomId,
+    users: [],
+    host: hostId,
+    streaming: false,
+    fileName: null,
+    fileType: null,
+    lastActive: Date.now(),
+    syncState: null,       // For backup state tracking
+    pendingSeekByte: null, // Set when host seeks beyond assembled area; cleared on seek-buffered
+    pendingSeekStart: null, // First byte of that seek's keyframe (see seekRangeFor)
+    pendingSeekAt: null,   // when that seek started waiting (metrics)
+    passwordHash: null,    // "salt:hash" when the host has set a room password
+    queue: [],             // uploadIds to play after the current one
+    messages: [],          // bounded chat log (see CHAT_HISTORY_LIMIT)
+    subtitleSettings: null, // { trackId, offset } chosen by the host for everyone
+    hostGeneration: 0,     // bumped on transfer-host to retire old host tokens
+    moderators: [],        // session ids promoted by the host
+    muted: [],             // session ids that may not chat
+    bans: [],              // { sessionId, addressKey, username, reason, bannedBy, bannedAt }
+    addresses: {},         // session id → client address key (see clientAddressKey)
+    waitForEveryone: { enabled: false, timeoutMs: BUFFER_WAIT_TIMEOUT_MS },
+    bufferWait: null,      // active wait-for-everyone pause (see startBufferWait)
+    bufferExcused: [],     // stragglers dropped from a wait until they are ready
+    loopRange: null,       // { start, end } A–B repeat set by the host
+    audio: null,           // { muted, volume } from the host (see set-audio-state)
+    party: null,           // scheduled watch party and its lifecycle (see advanceParty)
+    polls: []              // open polls and recent results (see closePoll)
+  };
+}
+
+// A room only exists from its first join, so an id handed out by create-room
+// stays reserved until its host token expires — otherwise a second
+// create-room could hand out the same id (and a second valid host token)
+const reservedRoomIds = Object.create(null); // roomId → when the reservation lapses
+
+function generateRoomId(characters) {
+  let roomId = '';
+  // Ensure unique room ID
+  do {
+    roomId = '';
+    for (let i = 0; i < 6; i++) {
+      roomId += characters.charAt(Math.floor(Math.random() * characters.length));
+    }
+  } while (rooms[roomId] || reservedRoomIds[roomId]);
+  reservedRoomIds[roomId] = Date.now() + HOST_TOKEN_TTL_MS;
+  scheduleSharedPublish();
+  return roomId;
+}
+
+function sweepRoomIdReservations(now) {
+  Object.keys(reservedRoomIds).forEach(roomId => {
+    if (reservedRoomIds[roomId] <= now) delete reservedRoomIds[roomId];
+  });
+}
+
+// Socket.io connection handler
+io.on('connection', (socket) => {
+  roomLog.debug('New connection', { socketId: socket.id });
+  
+  // Initialize connection health tracking
+  connectionHealth[socket.id] = {
+    lastHeartbeat: Date.now(),
+    isConnected: true,
+    instanceId: INSTANCE_ID,
+    isHost: false,
+    roomId: null,
+    username: null,
+    connectionQuality: 'unknown',
+    isChatOnly: false
+  };
+  
+  // Every inbound event is rate limited per socket and event, then checked
+  // against its schema (schemas.js) before any handler runs. Refusals go back
+  // to the sender as a structured 'error' event — and to the ack, if any.
+  const rateLimiter = createRateLimiter();
+
+  function rejectEvent(event, ack, error) {
+    const payload = { event, ...error };
+    socket.emit('error', payload);
+    if (ack) ack({ error: payload });
+  }
+
+  socket.use((packet, next) => {
+    const [event, ...args] = packet;
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+
+    // Unknown event names share one bucket so they can't grow the limiter
+    const limit = rateLimiter.take(isKnownEvent(event) ? event : 'default');
+    if (!limit.allowed) {
+      return rejectEvent(event, ack, {
+        code: 'RATE_LIMITED',
+        message: `Too many ${event} events — slow down`,
+        retryAfterMs: limit.retryAfterMs
+      });
+    }
+    if (!isKnownEvent(event)) {
+      return rejectEvent(event, ack, { code: 'UNKNOWN_EVENT', message: `Unknown event ${event}` });
+    }
+    if (shuttingDown && event === 'joinRoom') {
+      return rejectEvent(event, ack, {
+        code: 'SERVER_SHUTTING_DOWN',
+        message: 'Server is restarting — try again shortly',
+        retryAfterMs: RESTART_WINDOW_MS
+      });
+    }
+
+    const problems = validateEvent(event, args[0]);
+    if (problems.length > 0) {
+      log.warn('Invalid event payload', { socketId: socket.id, event, problems });
+      return rejectEvent(event, ack, {
+        code: 'INVALID_PAYLOAD',
+        message: `Invalid ${event} payload`,
+        details: problems
+      });
+    }
+    next();
+  });
+
+  // socket.on with a safety net: a handler that throws (or rejects) is logged
+  // and reported to the sender instead of taking the process down. Everything
+  // the handler logs carries the socket, room and event it was handling.
+  function on(event, handler) {
+    socket.on(event, (...args) => {
+      const payload = args[0];
+      const roomId = payload && typeof payload === 'object' ? payload.roomId : undefined;
+      logger.runWithContext({ socketId: socket.id, roomId, event }, () => {
+        const fail = err => {
+          log.error('Event handler failed', { err });
+          socket.emit('error', { event, code: 'INTERNAL_ERROR', message: `Could not handle ${event}` });
+        };
+        try {
+          const result = handler(...args);
+          if (result && typeof result.catch === 'function') result.catch(fail);
+        } catch (err) {
+          fail(err);
+        }
+      });
+    });
+  }
+
+  // Refuse host-only events from anyone but the room's verified host
+  function requireHost(roomId, event) {
+    if (rooms[roomId] && rooms[roomId].host === socket.id) return true;
+    roomLog.info('Refused host-only event from non-host', { event, roomId });
+    socket.emit('permission-denied', {
+      event,
+      roomId,
+      code: 'HOST_ONLY',
+      message: `Only the room host can send ${event}`
+    });
+    return false;
+  }
+
+  // A booked party starts for everyone at once (start-party or its start time),
+  // not when the host happens to press play in the lobby
+  function allowPlayBeforeParty(roomId, event) {
+    const party = rooms[roomId] && rooms[roomId].party;
+    if (!party || (party.state !== 'scheduled' && party.state !== 'lobby')) return true;
+    socket.emit('permission-denied', {
+      event,
+      roomId,
+      code: 'PARTY_NOT_STARTED',
+      message: 'The watch party has not started yet — use start-party to start it now'
+    });
+    return false;
+  }
+
+  // Moderation events: the sender needs at least minRole and must outrank the
+  // target. Returns { room, actor, target } or null after telling the sender why.
+  function moderationTarget(roomId, userId, event, minRole) {
+    const room = rooms[roomId];
+    const actor = room && room.users.find(u => u.id === socket.id);
+    const deny = (code, message) => {
+      socket.emit('permission-denied', { event, roomId, code, message });
+      return null;
+    };
+    if (!actor || ROLE_RANK[actor.role] < ROLE_RANK[minRole]) {
+      return minRole === 'host'
+        ? deny('HOST_ONLY', `Only the room host can send ${event}`)
+        : deny('MODERATOR_ONLY', `Only the host or a moderator can send ${event}`);
+    }
+    const target = room.users.find(u => u.id === userId);
+    if (!target) return deny('USER_NOT_FOUND', 'No such user in this room');
+    if (target.id === actor.id || ROLE_RANK[target.role] >= ROLE_RANK[actor.role]) {
+      return deny('TARGET_OUTRANKS', `You can't do that to ${target.username}`);
+    }
+    return { room, actor, target };
+  }
 
-// Socket.io connection handler
-io.on('connection', (socket) => {
-  console.log(`New connection: ${socket.id}`);
-  
-  // Initialize connection health tracking
-  connectionHealth[socket.id] = {
-    lastHeartbeat: Date.now(),
-    isConnected: true,
-    isHost: false,
-    roomId: null,
-    username: null,
-    connectionQuality: 'unknown',
-    isChatOnly: false
-  };
-  
   // Join room
-  socket.on('joinRoom', (data) => {
-    const { roomId, username, isHost, isChatOnly } = data;
+  on('joinRoom', async (data) => {
+    const { roomId, hostToken, password } = data;
+
+    // Known sessions keep their identity (and may reclaim their seat); new ones
+    // get a token after joining
+    const knownSessionId = verifySessionToken(data.sessionToken);
+    const sessionId = knownSessionId || crypto.randomBytes(12).toString('hex');
+    const seat = knownSessionId && rooms[roomId] ? reclaimableSeat(rooms[roomId], knownSessionId, socket.id) : null;
+    const username = seat ? seat.username : data.username;
+    const isChatOnly = seat ? seat.isChatOnly : data.isChatOnly;
+
+    // Only a valid host token — or reclaiming the host's own seat — makes this
+    // socket the host; the client flag alone is not trusted
+    const reclaimsHost = !!seat && seat.isHost && rooms[roomId].host === seat.id;
+    const isHost = reclaimsHost || (!!data.isHost && verifyHostToken(hostToken, roomId));
+    if (data.isHost && !isHost) {
+      roomLog.info('Rejected host join: invalid host token', { roomId });
+      socket.emit('join-error', {
+        roomId,
+        code: 'INVALID_HOST_TOKEN',
+        message: 'Host token is missing, invalid or expired for this room'
+      });
+      return;
+    }
+
+    const addressKey = clientAddressKey(socket);
+    if (!isHost && rooms[roomId] && isBanned(rooms[roomId], sessionId, addressKey)) {
+      roomLog.info('Rejected join: banned', { roomId });
+      socket.emit('join-error', {
+        roomId,
+        code: 'BANNED',
+        message: 'You have been banned from this room'
+      });
+      return;
+    }
+
+    // The host sets (or changes) the room password by joining with one
+    const newPasswordHash = isHost && typeof password === 'string' && password.length > 0
+      ? await hashRoomPassword(password)
+      : null;
+
+    // Password-protected rooms: everyone but the host (and reclaimed seats) must supply the password
+    if (!isHost && !seat && rooms[roomId] && rooms[roomId].passwordHash) {
+      if (!(await checkRoomPassword(password, rooms[roomId].passwordHash))) {
+        roomLog.info('Rejected join: bad password', { roomId });
+        socket.emit('join-error', {
+          roomId,
+          code: password ? 'INVALID_PASSWORD' : 'PASSWORD_REQUIRED',
+          message: password ? 'Incorrect room password' : 'This room requires a password'
+        });
+        return;
+      }
+    }
     
-    console.log(`User ${username} joining room ${roomId} (isHost: ${isHost}, isChatOnly: ${isChatOnly || false})`);
+    // The socket may have gone while scrypt ran
+    if (!socket.connected) return;
+
+    // A booked party lets viewers in once its lobby opens
+    const party = rooms[roomId] && rooms[roomId].party;
+    if (!isHost && party && party.state === 'scheduled') {
+      roomLog.info('Rejected join: party lobby not open yet', { roomId });
+      socket.emit('join-error', {
+        roomId,
+        code: 'PARTY_NOT_OPEN',
+        message: 'This watch party has not opened yet',
+        ...partyView(roomId)
+      });
+      return;
+    }
+
+    roomLog.info('User joining room', { roomId, username, isHost, isChatOnly: isChatOnly || false, reclaim: !!seat });
+    if (seat) reconnectsTotal.inc();
     
     // Update connection health data
     connectionHealth[socket.id].roomId = roomId;
@@ -279,40 +2759,37 @@ io.on('connection', (socket) => {
     connectionHealth[socket.id].isChatOnly = isChatOnly || false;
     
     // Create room if it doesn't exist
-    if (!rooms[roomId]) {
-      rooms[roomId] = {
-        id: roomId,
-        users: [],
-        host: isHost ? socket.id : null,
-        streaming: false,
-        fileName: null,
-        fileType: null,
-        lastActive: Date.now(),
-        syncState: null,       // For backup state tracking
-        pendingSeekByte: null  // Set when host seeks beyond assembled area; cleared on seek-buffered
-      };
-    }
-    
-    // If this socket already has a user in this room, update it
-    const existingUserIndex = rooms[roomId].users.findIndex(user => user.id === socket.id);
+    if (!rooms[roomId]) rooms[roomId] = createRoomRecord(roomId, isHost ? socket.id : null);
+
+    if (newPasswordHash) rooms[roomId].passwordHash = newPasswordHash;
     
-    if (existingUserIndex !== -1) {
-      rooms[roomId].users[existingUserIndex] = {
-        id: socket.id,
-        username,
-        isHost,
-        isChatOnly: isChatOnly || false,
-        lastActive: Date.now()
-      };
+    let roomUser;
+    let previousSocketId = null;
+    if (seat) {
+      previousSocketId = moveSeat(roomId, seat, socket.id);
+      seat.isHost = isHost;
+      seat.role = roleFor(rooms[roomId], { isHost, isChatOnly, sessionId });
+      roomUser = seat;
     } else {
-      // Add user to room
-      rooms[roomId].users.push({
+      // If this socket already has a user in this room, update it
+      const existingUserIndex = rooms[roomId].users.findIndex(user => user.id === socket.id);
+      roomUser = {
         id: socket.id,
         username,
         isHost,
         isChatOnly: isChatOnly || false,
+        sessionId,
+        role: roleFor(rooms[roomId], { isHost, isChatOnly, sessionId }),
+        muted: rooms[roomId].muted.includes(sessionId),
         lastActive: Date.now()
-      });
+      };
+
+      if (existingUserIndex !== -1) {
+        rooms[roomId].users[existingUserIndex] = roomUser;
+      } else {
+        // Add user to room
+        rooms[roomId].users.push(roomUser);
+      }
     }
     
     // Update host if needed
@@ -323,36 +2800,88 @@ io.on('connection', (socket) => {
     // Update room last active time
     rooms[roomId].lastActive = Date.now();
     
+    rooms[roomId].addresses[sessionId] = addressKey;
+
     // Map socket ID to room ID for disconnection handling
     userSocketMap[socket.id] = roomId;
     
     // Join socket room
     socket.join(roomId);
-    
-    // Notify all users in room about the new user
-    io.to(roomId).emit('userJoined', {
-      user: {
-        id: socket.id,
+
+    if (!knownSessionId) socket.emit('session', { sessionToken: signSessionToken(sessionId) });
+
+    if (seat) {
+      // Same user, new socket: let the client know what it got back, and the
+      // room which socket id to use from now on
+      socket.emit('session-resumed', { roomId, previousSocketId, role: roomUser.role, isHost, muted: roomUser.muted });
+      io.to(roomId).emit('userReconnected', {
+        userId: socket.id,
+        previousUserId: previousSocketId,
         username,
+        role: roomUser.role,
         isHost,
-        isChatOnly: isChatOnly || false
-      },
-      users: rooms[roomId].users
-    });
+        users: rooms[roomId].users.filter(u => u.active !== false)
+      });
+    } else {
+      // Notify all users in room about the new user
+      io.to(roomId).emit('userJoined', {
+        user: {
+          id: socket.id,
+          username,
+          isHost,
+          isChatOnly: isChatOnly || false,
+          role: roomUser.role
+        },
+        users: rooms[roomId].users
+      });
+    }
     
     // Send current streaming status to new user (skip for chat-only users if preferred)
     socket.emit('streaming-status', {
       isStreaming: rooms[roomId].streaming,
       fileName: rooms[roomId].fileName,
       fileType: rooms[roomId].fileType,
-      uploadId: rooms[roomId].uploadId || null
+      uploadId: rooms[roomId].uploadId || null,
+      subtitles: subtitleTracks(rooms[roomId].uploadId)
     });
 
+    // Room-wide subtitle choice (track list itself rides on streaming-status / stream-ready)
+    if (!isChatOnly && rooms[roomId].subtitleSettings) {
+      socket.emit('subtitle-settings', rooms[roomId].subtitleSettings);
+    }
+    if (!isChatOnly && rooms[roomId].loopRange) {
+      socket.emit('loop-range', { roomId, loopRange: rooms[roomId].loopRange });
+    }
+    if (!isChatOnly && rooms[roomId].audio) {
+      socket.emit('audio-state', { roomId, ...rooms[roomId].audio });
+    }
+
+    // Party countdown / lobby / playing state
+    if (rooms[roomId].party) socket.emit('room-lifecycle', partyView(roomId));
+
+    // Wait-for-everyone setting, and who the room is waiting for right now
+    if (rooms[roomId].waitForEveryone.enabled) {
+      socket.emit('wait-for-everyone', { roomId, ...rooms[roomId].waitForEveryone });
+    }
+    if (rooms[roomId].bufferWait) socket.emit('buffer-wait', bufferWaitView(roomId));
+
+    // Late joiners get the playlist too
+    socket.emit('queue-updated', queueState(roomId));
+
+    // ...and the polls still open, with their own vote marked
+    const polls = openPolls(rooms[roomId]);
+    if (polls.length > 0) {
+      socket.emit('polls', { roomId, polls: polls.map(poll => pollView(roomId, poll, sessionId)) });
+    }
+
+    // ...and the most recent page of chat; older pages via chat-history-request
+    socket.emit('chat-history', chatHistoryPage(roomId));
+
     // If assembly is in progress but stream-ready hasn't fired yet, send the current
     // buffer progress so late-joining viewers don't get stuck at "Waiting for upload…".
     if (!isHost && !isChatOnly && rooms[roomId].uploadId) {
       const uid = rooms[roomId].uploadId;
-      const meta = uploads[uid];
+      const meta = uploadInfo(uid);
       if (meta && !meta.streamReadyEmitted && meta.assembledChunks > 0) {
         const thresholdChunks = Math.ceil(meta.totalChunks * STREAM_READY_THRESHOLD);
         const pct = Math.min(99, Math.round((meta.assembledChunks / thresholdChunks) * 100));
@@ -364,45 +2893,47 @@ io.on('connection', (socket) => {
     // directly to this viewer so late joiners during an ongoing upload also get the URL.
     if (!isHost && !isChatOnly && rooms[roomId].uploadId) {
       const uid = rooms[roomId].uploadId;
-      const meta = uploads[uid];
+      const meta = uploadInfo(uid);
       if (meta && meta.streamReadyEmitted) {
-        console.log(`Replaying stream-ready to late joiner ${socket.id} (uploadId: ${uid}, assembled: ${meta.assembled})`);
-        socket.emit('stream-ready', {
-          uploadId: uid,
-          streamUrl: `/stream/${uid}`,
-          fileName: meta.fileName,
-          fileType: meta.fileType,
-          fileSize: meta.fileSize
-        });
+        roomLog.debug('Replaying stream-ready to late joiner', { uploadId: uid, assembled: meta.assembled });
+        socket.emit('stream-ready', streamReadyPayload(uid, meta));
       }
     }
 
     // If room has a recent sync state and this is a viewer, send it (skip for chat-only users)
     if (!isHost && !isChatOnly && rooms[roomId].syncState) {
       const syncState = rooms[roomId].syncState;
-      // Only send if it's recent (last 2 minutes)
-      if (Date.now() - syncState.timestamp < 120000) {
+      // Only send if it's recent (last 2 minutes) — a started party's state is
+      // the server's own and stays good however old
+      const partyPlaying = rooms[roomId].party && rooms[roomId].party.state === 'playing';
+      if (Date.now() - syncState.timestamp < 120000 || partyPlaying) {
         // uploadId intentionally omitted — stream-ready replay (above) handles
         // the video URL for late joiners. Including it here caused a double-trigger
         // race where the viewer setup effect ran twice and cleaned up its own listeners.
         socket.emit('fallback-sync-state', {
           ...syncState,
-          uploadId: null
+          uploadId: null,
+          ...clockFieldsFor(socket.id)
         });
       }
     }
     
-    console.log(`Room ${roomId} now has ${rooms[roomId].users.length} users`);
+    schedulePersist();
+    roomLog.debug('Room size', { roomId, users: rooms[roomId].users.length });
   });
   
   // Improved heartbeat handler
-  socket.on('heartbeat', (data) => {
-    const { roomId, timestamp, isHost } = data;
+  on('heartbeat', (data) => {
+    const { roomId, timestamp, isHost, lastAck } = data;
+    const receivedAt = Date.now();
     
     // Update connection health data
     if (connectionHealth[socket.id]) {
-      connectionHealth[socket.id].lastHeartbeat = Date.now();
+      connectionHealth[socket.id].lastHeartbeat = receivedAt;
       connectionHealth[socket.id].roomId = roomId;
+      // lastAck = { clientTime, receivedAt } for the previous heartbeat-ack
+      recordClockSample(connectionHealth[socket.id], lastAck);
+      scheduleSharedPublish();
     }
     
     // Update room activity
@@ -427,11 +2958,19 @@ io.on('connection', (socket) => {
       hostConnected = rooms[roomId].users.some(u => u.isHost && u.id !== socket.id);
     }
     
-    // Send heartbeat acknowledgment with room stats
+    // Send heartbeat acknowledgment with room stats and the current clock estimate
+    const health = connectionHealth[socket.id];
+    const serverSendTime = Date.now();
+    if (health) {
+      health.lastAckSent = { clientTime: timestamp, serverReceiveTime: receivedAt, serverSendTime };
+    }
     socket.emit('heartbeat-ack', {
-      timestamp: Date.now(),
-      serverTime: Date.now(),
+      timestamp: serverSendTime,
+      serverTime: serverSendTime,
+      serverReceiveTime: receivedAt,
       clientTime: timestamp,
+      rtt: health && Number.isFinite(health.rtt) ? health.rtt : null,
+      clockOffset: health && Number.isFinite(health.clockOffset) ? health.clockOffset : null,
       viewerCount,
       chatOnlyCount,
       hostConnected
@@ -439,10 +2978,10 @@ io.on('connection', (socket) => {
   });
   
   // Register peer ID with improved tracking
-  socket.on('peer-id', (data) => {
+  on('peer-id', (data) => {
     const { roomId, peerId, isHost, previousSocketId } = data;
     
-    console.log(`Peer ID registered: ${peerId} for socket ${socket.id} (previous: ${previousSocketId || 'N/A'})`);
+    peerLog.debug('Peer ID registered', { peerId, previousSocketId });
     
     // Store peer ID mapping
     peerIdMap[socket.id] = peerId;
@@ -451,7 +2990,7 @@ io.on('connection', (socket) => {
     if (previousSocketId && peerIdMap[previousSocketId]) {
       // Remove the old mapping
       delete peerIdMap[previousSocketId];
-      console.log(`Removed old peer ID mapping for ${previousSocketId}`);
+      peerLog.debug('Removed old peer ID mapping', { previousSocketId });
     }
     
     // Notify all users in room about the peer ID
@@ -464,23 +3003,40 @@ io.on('connection', (socket) => {
   });
   
   // Enhanced video state change handler
-  socket.on('videoStateChange', (data) => {
+  on('videoStateChange', (data) => {
     const { roomId, videoState } = data;
+    if (!requireHost(roomId, 'videoStateChange')) return;
     
     // Log detailed information
-    console.log(`[${socket.id}] Sending ${videoState.isPlaying ? 'PLAY' : 'PAUSE'} at ${videoState.currentTime.toFixed(2)} to room ${roomId}`);
+    syncLog.debug(videoState.isPlaying ? 'PLAY' : 'PAUSE', { currentTime: videoState.currentTime });
+
+    // Server-clock time at which the host's currentTime was true
+    const receivedAt = Date.now();
+    const effectiveAt = effectiveAtFor(socket.id, videoState.timestamp, receivedAt);
     
+    if (videoState.isPlaying && !allowPlayBeforeParty(roomId, 'videoStateChange')) return;
+
+    // Host pressing play overrides a wait-for-everyone pause
+    if (videoState.isPlaying) endBufferWait(roomId, 'host');
+
     if (rooms[roomId]) {
-      // Store sync state for reconnection purposes
+      // Store sync state for reconnection purposes. Only the known fields are
+      // copied — the schema lets extra keys through, and this state is saved
+      // and sent to everyone.
       rooms[roomId].syncState = {
-        ...videoState,
-        timestamp: Date.now(),
+        currentTime: videoState.currentTime,
+        isPlaying: videoState.isPlaying,
+        playbackRate: nextPlaybackRate(roomId, videoState.playbackRate),
+        timestamp: receivedAt,
+        effectiveAt,
         hostId: socket.id
       };
+      schedulePersist();
     }
     
     // Forward to everyone in the room except the sender and chat-only users
     if (rooms[roomId]) {
+      const playbackRate = playbackRateOf(rooms[roomId].syncState);
       // Get non-chat-only users
       const regularViewers = rooms[roomId].users.filter(user => 
         user.id !== socket.id && !user.isChatOnly
@@ -489,54 +3045,70 @@ io.on('connection', (socket) => {
       // Emit to each regular viewer
       regularViewers.forEach(viewer => {
         io.to(viewer.id).emit('videoStateUpdate', {
-          ...videoState,
-          timestamp: Date.now()
+          currentTime: videoState.currentTime,
+          isPlaying: videoState.isPlaying,
+          playbackRate,
+          timestamp: Date.now(),
+          effectiveAt,
+          ...clockFieldsFor(viewer.id)
         });
       });
-    } else {
-      // Fallback if room data is not available
-      socket.to(roomId).emit('videoStateUpdate', {
-        ...videoState,
-        timestamp: Date.now()
-      });
     }
   });
   
   // Enhanced seek operation handler
-  socket.on('videoSeekOperation', (data) => {
-    const { roomId, seekTime, videoDuration, isPlaying, sourceTimestamp } = data;
+  on('videoSeekOperation', (data) => {
+    const { roomId, seekTime, videoDuration, isPlaying, sourceTimestamp, playbackRate } = data;
+    if (!requireHost(roomId, 'videoSeekOperation')) return;
 
-    console.log(`[${socket.id}] Sending SEEK to ${seekTime.toFixed(2)} in room ${roomId}`);
+    syncLog.debug('SEEK', { seekTime });
 
-    // Calculate server processing latency
+    // The client's sourceTimestamp is only trusted through its measured clock offset
     const serverTimestamp = Date.now();
-    const latency = sourceTimestamp ? serverTimestamp - sourceTimestamp : 0;
+    const effectiveAt = effectiveAtFor(socket.id, sourceTimestamp, serverTimestamp);
+    const latency = serverTimestamp - effectiveAt;
+
+    if (isPlaying !== false && !allowPlayBeforeParty(roomId, 'videoSeekOperation')) return;
+
+    // Seeking while playing overrides a wait-for-everyone pause; a paused
+    // seek keeps waiting, at the new position
+    if (isPlaying !== false) endBufferWait(roomId, 'host');
+    else if (rooms[roomId] && rooms[roomId].bufferWait) rooms[roomId].bufferWait.currentTime = seekTime;
 
     // Store sync state for reconnection purposes
     if (rooms[roomId]) {
       rooms[roomId].syncState = {
         currentTime: seekTime,
         isPlaying: isPlaying !== undefined ? isPlaying : true,
+        playbackRate: nextPlaybackRate(roomId, playbackRate),
         timestamp: serverTimestamp,
+        effectiveAt,
         hostId: socket.id,
         seekOperation: true
       };
+      schedulePersist();
 
-      // Check whether the seek position is already assembled on the server.
-      // If not, tell the host to pause and wait; emit seek-buffered once assembly catches up.
+      // Check whether the data for the seek position is already on the server
+      // (assembled, or received out of order and servable from chunks/).
+      // If not, ask the uploader for that range first, tell the host to pause
+      // and wait; emit seek-buffered once those chunks arrive.
       const uid = rooms[roomId].uploadId;
       const meta = uid && uploads[uid];
-      if (meta && videoDuration && meta.fileSize) {
-        const seekByte     = Math.floor(seekTime / videoDuration * meta.fileSize);
-        const assembledBytes = meta.assembledChunks * CHUNK_SIZE;
-        if (seekByte > assembledBytes && !meta.assembled) {
-          // Seek is beyond assembled area — host must wait for assembly to catch up
-          rooms[roomId].pendingSeekByte = seekByte;
+      const seekRange = meta ? seekRangeFor(uid, meta, seekTime, videoDuration) : null;
+      if (seekRange) {
+        if (!meta.assembled && !isByteRangeAvailable(meta, seekRange.start, seekRange.end)) {
+          // Seek is beyond what we have — host must wait for those chunks
+          rooms[roomId].pendingSeekStart = seekRange.start;
+          rooms[roomId].pendingSeekByte = seekRange.end;
+          rooms[roomId].pendingSeekAt = Date.now();
+          seekBufferingTotal.inc();
+          requestPriorityChunks(uid, meta, seekRange.start, seekRange.end, 'seek');
           socket.emit('seek-needs-buffering'); // only to host
-          console.log(`[seek] position ${seekTime.toFixed(1)}s (byte ${seekByte}) beyond assembled ${assembledBytes} — rebuffering`);
+          syncLog.info('Seek position not on server yet — rebuffering', { uploadId: uid, seekTime, start: seekRange.start, end: seekRange.end });
         } else {
-          // Already assembled — clear any pending seek gate
+          // Already here — clear any pending seek gate
           rooms[roomId].pendingSeekByte = null;
+          rooms[roomId].pendingSeekStart = null;
         }
       }
 
@@ -550,39 +3122,39 @@ io.on('connection', (socket) => {
         io.to(viewer.id).emit('videoSeekOperation', {
           seekTime,
           isPlaying: isPlaying !== undefined ? isPlaying : true,
+          playbackRate: rooms[roomId].syncState.playbackRate,
           sourceTimestamp,
           serverTimestamp,
           processingLatency: latency,
-          hostId: socket.id
+          effectiveAt,
+          hostId: socket.id,
+          ...clockFieldsFor(viewer.id)
         });
       });
-    } else {
-      // Fallback if room data is not available
-      socket.to(roomId).emit('videoSeekOperation', {
-        seekTime,
-        isPlaying: isPlaying !== undefined ? isPlaying : true,
-        sourceTimestamp,
-        serverTimestamp,
-        processingLatency: latency,
-        hostId: socket.id
-      });
     }
   });
   
   // Fallback sync state handler
-  socket.on('fallback-sync-state', (data) => {
+  on('fallback-sync-state', (data) => {
     const { roomId, currentTime, isPlaying, timestamp, targetSocketId } = data;
+    if (!requireHost(roomId, 'fallback-sync-state')) return;
+    const playbackRate = nextPlaybackRate(roomId, data.playbackRate);
     
-    console.log(`[${socket.id}] Sending fallback sync state to ${targetSocketId || 'room'}: ${currentTime.toFixed(2)}, ${isPlaying ? 'playing' : 'paused'}`);
+    syncLog.debug('Fallback sync state', { targetSocketId, currentTime, isPlaying });
+
+    const effectiveAt = effectiveAtFor(socket.id, timestamp, Date.now());
     
     // Store sync state for reconnection purposes
     if (rooms[roomId]) {
       rooms[roomId].syncState = {
         currentTime,
         isPlaying,
+        playbackRate,
         timestamp: timestamp || Date.now(),
+        effectiveAt,
         hostId: socket.id
       };
+      schedulePersist();
     }
     
     // Send to specific target if provided
@@ -593,8 +3165,11 @@ io.on('connection', (socket) => {
         io.to(targetSocketId).emit('fallback-sync-state', {
           currentTime,
           isPlaying,
+          playbackRate,
           timestamp: timestamp || Date.now(),
-          hostId: socket.id
+          effectiveAt,
+          hostId: socket.id,
+          ...clockFieldsFor(targetSocketId)
         });
       }
     } else {
@@ -608,27 +3183,22 @@ io.on('connection', (socket) => {
           io.to(viewer.id).emit('fallback-sync-state', {
             currentTime,
             isPlaying,
+            playbackRate,
             timestamp: timestamp || Date.now(),
-            hostId: socket.id
+            effectiveAt,
+            hostId: socket.id,
+            ...clockFieldsFor(viewer.id)
           });
         });
-      } else {
-        // Fallback if room data is not available
-        socket.to(roomId).emit('fallback-sync-state', {
-          currentTime,
-          isPlaying,
-          timestamp: timestamp || Date.now(),
-          hostId: socket.id
-        });
       }
     }
   });
   
   // WebRTC connection failure handler
-  socket.on('webrtc-connection-failed', (data) => {
+  on('webrtc-connection-failed', (data) => {
     const { roomId, peerId } = data;
     
-    console.log(`WebRTC connection failed in room ${roomId}: ${socket.id} to peer ${peerId}`);
+    peerLog.info('WebRTC connection failed', { peerId });
     
     // Find socket ID for the peer ID
     const targetSocketId = Object.keys(peerIdMap).find(key => peerIdMap[key] === peerId);
@@ -643,7 +3213,7 @@ io.on('connection', (socket) => {
           fromPeerId: peerIdMap[socket.id]
         });
         
-        console.log(`Sent reconnection request to ${targetSocketId}`);
+        peerLog.debug('Sent reconnection request', { targetSocketId });
       } else if (targetUser && targetUser.isChatOnly) {
         // If target is chat-only, notify sender that WebRTC is not needed
         socket.emit('webrtc-target-unreachable', {
@@ -652,7 +3222,7 @@ io.on('connection', (socket) => {
         });
       }
     } else {
-      console.log(`Could not find socket ID for peer ${peerId}`);
+      peerLog.debug('Could not find socket ID for peer', { peerId });
       
       // Notify original socket that target may be disconnected
       socket.emit('webrtc-target-unreachable', {
@@ -663,10 +3233,10 @@ io.on('connection', (socket) => {
   });
   
   // Viewer requesting reconnection handler
-  socket.on('request-reconnection', (data) => {
+  on('request-reconnection', (data) => {
     const { roomId, viewerPeerId } = data;
     
-    console.log(`Viewer ${socket.id} requesting reconnection in room ${roomId}`);
+    peerLog.debug('Viewer requesting reconnection');
     
     if (rooms[roomId] && rooms[roomId].host) {
       // Forward the request to the host
@@ -675,74 +3245,605 @@ io.on('connection', (socket) => {
         viewerPeerId
       });
       
-      console.log(`Forwarded reconnection request to host ${rooms[roomId].host}`);
+      peerLog.debug('Forwarded reconnection request to host', { hostId: rooms[roomId].host });
     } else {
       // Notify viewer that host is not available
       socket.emit('reconnection-failed', {
         message: 'Host is not available for reconnection'
       });
     }
-  });
-  
-  // Handle chat messages
-  socket.on('sendMessage', (data) => {
-    const { roomId, message, username } = data;
-    
-    console.log(`Chat message in room ${roomId} from ${username}: ${message}`);
-    
-    // Send message to all users in room
-    io.to(roomId).emit('newMessage', {
-      user: username,
-      text: message,
-      time: new Date().toLocaleTimeString()
+  });
+  
+  // Handle chat messages
+  on('sendMessage', (data) => {
+    const { roomId, message } = data;
+
+    // Only current members may chat, and muted ones may not
+    const sender = rooms[roomId] && rooms[roomId].users.find(u => u.id === socket.id);
+    if (!sender) return;
+    if (sender.muted) {
+      socket.emit('permission-denied', {
+        event: 'sendMessage',
+        roomId,
+        code: 'MUTED',
+        message: 'You have been muted in this room'
+      });
+      return;
+    }
+    
+    chatLog.debug('Chat message', { username: sender.username, message, length: message.length });
+
+    // ISO timestamp so each client formats it in its own locale. The name is
+    // the one the sender joined with, never one from the payload.
+    const chatMessage = {
+      id: crypto.randomBytes(8).toString('hex'),
+      user: sender.username,
+      authorId: socket.id,
+      text: message,
+      time: new Date().toISOString(),
+      editedAt: null,
+      deleted: false,
+      reactions: {}
+    };
+    if (rooms[roomId]) {
+      appendChatMessage(rooms[roomId], chatMessage);
+      schedulePersist();
+    }
+    
+    // Send message to all users in room
+    io.to(roomId).emit('newMessage', chatMessage);
+  });
+
+  // Older chat history, one page at a time (before = oldest message id the client has)
+  on('chat-history-request', (data, callback) => {
+    const { roomId, before, limit } = data;
+    // Members only: a socket that couldn't join (wrong password, banned) reads nothing
+    if (!rooms[roomId] || !rooms[roomId].users.some(u => u.id === socket.id)) return;
+    const page = chatHistoryPage(roomId, before, limit);
+
+    if (callback && typeof callback === 'function') {
+      callback(page);
+    } else {
+      socket.emit('chat-history', page);
+    }
+  });
+
+  // A comment or reaction pinned to where the room's video is right now
+  on('timeline-comment', (data) => {
+    const { roomId, text, emoji } = data;
+    const room = rooms[roomId];
+    const sender = room && room.users.find(u => u.id === socket.id);
+    if (!sender) return;
+    if (sender.muted) {
+      socket.emit('permission-denied', {
+        event: 'timeline-comment',
+        roomId,
+        code: 'MUTED',
+        message: 'You have been muted in this room'
+      });
+      return;
+    }
+    if (!text === !emoji) {
+      return socket.emit('error', { event: 'timeline-comment', code: 'INVALID_PAYLOAD', message: 'Send either text or emoji' });
+    }
+    if (!room.uploadId || !room.syncState) {
+      return socket.emit('error', { event: 'timeline-comment', code: 'NOTHING_PLAYING', message: 'Comments need a video to pin them to' });
+    }
+    const timeline = timelineFor(room);
+    if (timeline.comments.length >= MAX_TIMELINE_COMMENTS) {
+      return socket.emit('error', { event: 'timeline-comment', code: 'TIMELINE_FULL', message: 'This video has reached its comment limit' });
+    }
+
+    const now = Date.now();
+    const comment = {
+      id: crypto.randomBytes(8).toString('hex'),
+      kind: emoji ? 'reaction' : 'comment',
+      text: emoji || text,
+      user: sender.username,
+      authorId: socket.id,
+      mediaTime: Math.round(projectedPosition(room.syncState, now, room.loopRange) * 1000) / 1000,
+      createdAt: now
+    };
+    insertTimelineComment(timeline, comment);
+    schedulePersist();
+    chatLog.debug('Timeline comment', { uploadId: room.uploadId, kind: comment.kind, mediaTime: comment.mediaTime });
+    io.to(roomId).emit('timeline-comment', { roomId, uploadId: room.uploadId, comment });
+  });
+
+  // Timeline comments of the current upload (or an earlier one of this room) by time range
+  on('timeline-comments-request', (data, callback) => {
+    const { roomId, from, to } = data;
+    const room = rooms[roomId];
+    if (!room || !room.users.some(u => u.id === socket.id)) return;
+    const uploadId = data.uploadId || room.uploadId;
+    const timeline = timelines[uploadId];
+    const until = to === undefined || to === null ? Infinity : to;
+    const page = {
+      roomId,
+      uploadId: uploadId || null,
+      from: from || 0,
+      to: until === Infinity ? null : until,
+      comments: timeline && timeline.roomId === roomId ? timelineRange(uploadId, from || 0, until) : []
+    };
+
+    if (callback && typeof callback === 'function') {
+      callback(page);
+    } else {
+      socket.emit('timeline-comments', page);
+    }
+  });
+
+  // Authors can edit their own messages
+  on('editMessage', (data) => {
+    const { roomId, messageId, text } = data;
+    const chatMessage = findChatMessage(rooms[roomId], messageId);
+    if (!chatMessage || chatMessage.deleted || typeof text !== 'string' || !text.trim()) return;
+    const editor = rooms[roomId].users.find(u => u.id === socket.id);
+    if (editor && editor.muted) {
+      socket.emit('permission-denied', {
+        event: 'editMessage',
+        roomId,
+        code: 'MUTED',
+        message: 'You have been muted in this room'
+      });
+      return;
+    }
+    if (chatMessage.authorId !== socket.id) {
+      socket.emit('permission-denied', {
+        event: 'editMessage',
+        roomId,
+        code: 'NOT_AUTHOR',
+        message: 'You can only edit your own messages'
+      });
+      return;
+    }
+
+    chatMessage.text = text;
+    chatMessage.editedAt = new Date().toISOString();
+    schedulePersist();
+    io.to(roomId).emit('messageEdited', {
+      id: chatMessage.id,
+      text: chatMessage.text,
+      editedAt: chatMessage.editedAt
+    });
+  });
+
+  // Authors can delete their own messages (kept as a tombstone in history)
+  on('deleteMessage', (data) => {
+    const { roomId, messageId } = data;
+    const chatMessage = findChatMessage(rooms[roomId], messageId);
+    if (!chatMessage || chatMessage.deleted) return;
+    if (chatMessage.authorId !== socket.id) {
+      socket.emit('permission-denied', {
+        event: 'deleteMessage',
+        roomId,
+        code: 'NOT_AUTHOR',
+        message: 'You can only delete your own messages'
+      });
+      return;
+    }
+
+    chatMessage.deleted = true;
+    chatMessage.text = '';
+    chatMessage.reactions = {};
+    schedulePersist();
+    io.to(roomId).emit('messageDeleted', { id: chatMessage.id });
+  });
+
+  // Anyone in the room can toggle an emoji reaction on a message
+  on('reactToMessage', (data) => {
+    const { roomId, messageId, emoji } = data;
+    const chatMessage = findChatMessage(rooms[roomId], messageId);
+    if (!chatMessage || chatMessage.deleted) return;
+    if (typeof emoji !== 'string' || !emoji || emoji.length > MAX_REACTION_LENGTH) return;
+    // reactions is a plain object: '__proto__' can't be a key of its own, and
+    // names like 'constructor' must not resolve to Object.prototype members
+    if (emoji === '__proto__') return;
+
+    const reactor = rooms[roomId].users.find(u => u.id === socket.id);
+    if (!reactor) return;
+
+    const reactors = Object.prototype.hasOwnProperty.call(chatMessage.reactions, emoji)
+      ? chatMessage.reactions[emoji]
+      : [];
+    if (reactors.some(r => r.id === socket.id)) {
+      chatMessage.reactions[emoji] = reactors.filter(r => r.id !== socket.id);
+    } else {
+      chatMessage.reactions[emoji] = [...reactors, { id: socket.id, username: reactor.username }];
+    }
+    if (chatMessage.reactions[emoji].length === 0) delete chatMessage.reactions[emoji];
+
+    schedulePersist();
+    io.to(roomId).emit('messageReaction', {
+      id: chatMessage.id,
+      reactions: chatMessage.reactions
+    });
+  });
+  
+  // Moderation (see Roles and moderation above). Host: make a viewer a moderator
+  on('promote-user', (data) => {
+    const { roomId, userId } = data;
+    const ctx = moderationTarget(roomId, userId, 'promote-user', 'host');
+    if (!ctx || ctx.target.role === 'moderator') return;
+
+    ctx.room.moderators.push(ctx.target.sessionId);
+    ctx.target.role = 'moderator';
+    broadcastModeration(roomId, 'promote', ctx.target, ctx.actor);
+  });
+
+  // Host: take moderator rights away again
+  on('demote-user', (data) => {
+    const { roomId, userId } = data;
+    const ctx = moderationTarget(roomId, userId, 'demote-user', 'host');
+    if (!ctx || ctx.target.role !== 'moderator') return;
+
+    ctx.room.moderators = ctx.room.moderators.filter(id => id !== ctx.target.sessionId);
+    ctx.target.role = ctx.target.isChatOnly ? 'chat-only' : 'viewer';
+    broadcastModeration(roomId, 'demote', ctx.target, ctx.actor);
+  });
+
+  // Host: hand the room to someone else. The new host gets a fresh host token
+  // (older ones stop working) and the old host stays on as a moderator.
+  // Uploads already in flight keep going from the old host's browser.
+  on('transfer-host', (data) => {
+    const { roomId, userId } = data;
+    const ctx = moderationTarget(roomId, userId, 'transfer-host', 'host');
+    if (!ctx) return;
+    const { room, actor, target } = ctx;
+    if (target.isChatOnly || target.active === false) {
+      socket.emit('permission-denied', {
+        event: 'transfer-host',
+        roomId,
+        code: 'INVALID_TARGET',
+        message: `${target.username} can't become host`
+      });
+      return;
+    }
+
+    room.hostGeneration = (room.hostGeneration || 0) + 1;
+    room.host = target.id;
+    room.moderators = room.moderators.filter(id => id !== target.sessionId);
+    if (!room.moderators.includes(actor.sessionId)) room.moderators.push(actor.sessionId);
+
+    actor.isHost = false;
+    actor.role = 'moderator';
+    target.isHost = true;
+    target.role = 'host';
+    if (connectionHealth[actor.id]) connectionHealth[actor.id].isHost = false;
+    if (connectionHealth[target.id]) connectionHealth[target.id].isHost = true;
+
+    io.to(target.id).emit('host-token', { roomId, hostToken: signHostToken(roomId) });
+    broadcastModeration(roomId, 'transfer-host', target, actor);
+  });
+
+  // Moderators: remove a user from the room (they may rejoin)
+  on('kick-user', (data) => {
+    const { roomId, userId, reason } = data;
+    const ctx = moderationTarget(roomId, userId, 'kick-user', 'moderator');
+    if (!ctx) return;
+
+    removeUserFromRoom(roomId, ctx.target, { reason: reason || null, banned: false, by: ctx.actor.username });
+    broadcastModeration(roomId, 'kick', ctx.target, ctx.actor, reason);
+  });
+
+  // Moderators: kick and refuse this session (and its address) for as long as
+  // the room exists
+  on('ban-user', (data) => {
+    const { roomId, userId, reason } = data;
+    const ctx = moderationTarget(roomId, userId, 'ban-user', 'moderator');
+    if (!ctx) return;
+    const { room, actor, target } = ctx;
+
+    room.bans.push({
+      sessionId: target.sessionId,
+      addressKey: room.addresses[target.sessionId] || null,
+      username: target.username,
+      reason: reason || null,
+      bannedBy: actor.username,
+      bannedAt: Date.now()
+    });
+    removeUserFromRoom(roomId, target, { reason: reason || null, banned: true, by: actor.username });
+    broadcastModeration(roomId, 'ban', target, actor, reason);
+  });
+
+  // Moderators: stop (or allow again) a user's chat messages
+  on('mute-user', (data) => {
+    const { roomId, userId, reason } = data;
+    const ctx = moderationTarget(roomId, userId, 'mute-user', 'moderator');
+    if (!ctx || ctx.target.muted) return;
+
+    ctx.room.muted.push(ctx.target.sessionId);
+    ctx.target.muted = true;
+    broadcastModeration(roomId, 'mute', ctx.target, ctx.actor, reason);
+  });
+
+  on('unmute-user', (data) => {
+    const { roomId, userId } = data;
+    const ctx = moderationTarget(roomId, userId, 'unmute-user', 'moderator');
+    if (!ctx || !ctx.target.muted) return;
+
+    ctx.room.muted = ctx.room.muted.filter(id => id !== ctx.target.sessionId);
+    ctx.target.muted = false;
+    broadcastModeration(roomId, 'unmute', ctx.target, ctx.actor);
+  });
+  
+  // Enhanced streaming status update handler
+  on('streaming-status-update', (data) => {
+    const { roomId, streaming, fileName, fileType } = data;
+    if (!requireHost(roomId, 'streaming-status-update')) return;
+
+    roomLog.info('Streaming status update', { streaming });
+
+    if (rooms[roomId]) {
+      rooms[roomId].streaming = streaming;
+      rooms[roomId].fileName = fileName;
+      rooms[roomId].fileType = fileType;
+
+      // If streaming is stopping, clear sync state and file reference
+      if (!streaming) {
+        endBufferWait(roomId, 'stream-ended');
+        endParty(roomId);
+        rooms[roomId].syncState = null;
+        rooms[roomId].uploadId = null;
+        rooms[roomId].subtitleSettings = null;
+        rooms[roomId].loopRange = null;
+      }
+      schedulePersist();
+
+      // Notify non-chat-only users in room about the streaming status
+      const uploadId = rooms[roomId].uploadId || null;
+      rooms[roomId].users.forEach(user => {
+        if (!user.isChatOnly) {
+          io.to(user.id).emit('streaming-status', {
+            isStreaming: streaming,
+            fileName,
+            fileType,
+            uploadId,
+            subtitles: subtitleTracks(uploadId)
+          });
+        }
+      });
+    }
+  });
+  
+  // Host picks the room-wide default subtitle track (null = off) and timing offset
+  on('set-subtitle-settings', (data) => {
+    const { roomId, trackId, offset } = data;
+    if (!requireHost(roomId, 'set-subtitle-settings')) return;
+
+    const room = rooms[roomId];
+    if (trackId && !subtitleTracks(room.uploadId).some(track => track.trackId === trackId)) return;
+    const offsetSeconds = Number(offset) || 0;
+    if (Math.abs(offsetSeconds) > MAX_SUBTITLE_OFFSET) return;
+
+    room.subtitleSettings = { trackId: trackId || null, offset: offsetSeconds };
+    schedulePersist();
+    room.users.forEach(user => {
+      if (!user.isChatOnly) io.to(user.id).emit('subtitle-settings', room.subtitleSettings);
+    });
+  });
+  
+  // Host changes the playback rate without a play/pause/seek; the position it
+  // was at re-anchors the sync state so the projection stays continuous
+  on('set-playback-rate', (data) => {
+    const { roomId, playbackRate, currentTime, timestamp } = data;
+    if (!requireHost(roomId, 'set-playback-rate')) return;
+
+    const room = rooms[roomId];
+    const receivedAt = Date.now();
+    const effectiveAt = effectiveAtFor(socket.id, timestamp, receivedAt);
+    const position = currentTime !== undefined && currentTime !== null
+      ? currentTime
+      : projectedPosition(room.syncState, effectiveAt, room.loopRange);
+    room.syncState = {
+      isPlaying: false,
+      ...room.syncState,
+      currentTime: position,
+      playbackRate,
+      timestamp: receivedAt,
+      effectiveAt,
+      hostId: socket.id
+    };
+    schedulePersist();
+    syncLog.debug('Playback rate', { playbackRate, currentTime: position });
+
+    room.users.forEach(user => {
+      if (user.id === socket.id || user.isChatOnly) return;
+      io.to(user.id).emit('playback-rate', {
+        playbackRate,
+        currentTime: position,
+        isPlaying: room.syncState.isPlaying,
+        effectiveAt,
+        ...clockFieldsFor(user.id)
+      });
+    });
+  });
+
+  // Host sets (or, with start/end left out, clears) the room's A–B repeat
+  on('set-loop-range', (data) => {
+    const { roomId, start, end } = data;
+    if (!requireHost(roomId, 'set-loop-range')) return;
+
+    const room = rooms[roomId];
+    const clearing = (start === undefined || start === null) && (end === undefined || end === null);
+    if (!clearing && !(Number.isFinite(start) && Number.isFinite(end) && end - start >= MIN_LOOP_SECONDS)) {
+      return socket.emit('error', {
+        event: 'set-loop-range',
+        code: 'INVALID_LOOP_RANGE',
+        message: `A loop needs a start and an end at least ${MIN_LOOP_SECONDS}s after it`
+      });
+    }
+
+    room.loopRange = clearing ? null : { start, end };
+    schedulePersist();
+    syncLog.debug('Loop range', { loopRange: room.loopRange });
+    room.users.forEach(user => {
+      if (!user.isChatOnly) io.to(user.id).emit('loop-range', { roomId, loopRange: room.loopRange });
+    });
+  });
+
+  // Host mutes or unmutes (volume: its normalised level, kept when left out)
+  on('set-audio-state', (data) => {
+    const { roomId, muted, volume } = data;
+    if (!requireHost(roomId, 'set-audio-state')) return;
+
+    const room = rooms[roomId];
+    const previousVolume = room.audio ? room.audio.volume : 1;
+    room.audio = { muted, volume: volume !== undefined && volume !== null ? volume : previousVolume };
+    schedulePersist();
+    syncLog.debug('Audio state', { roomId, ...room.audio });
+    room.users.forEach(user => {
+      if (user.id === socket.id || user.isChatOnly) return;
+      io.to(user.id).emit('audio-state', { roomId, ...room.audio });
+    });
+  });
+
+  // Host starts a booked party now instead of waiting for its start time
+  on('start-party', (data) => {
+    const { roomId } = data;
+    if (!requireHost(roomId, 'start-party')) return;
+
+    const room = rooms[roomId];
+    if (!room.party || (room.party.state !== 'scheduled' && room.party.state !== 'lobby')) {
+      return socket.emit('error', { event: 'start-party', code: 'NO_PENDING_PARTY', message: 'This room has no party waiting to start' });
+    }
+    const meta = uploadInfo(room.uploadId);
+    if (!meta || !meta.streamReadyEmitted) {
+      return socket.emit('error', { event: 'start-party', code: 'UPLOAD_NOT_READY', message: 'The party upload is not ready to stream yet' });
+    }
+    startParty(roomId, 'host');
+  });
+
+  // Host asks the room a question
+  on('create-poll', (data) => {
+    const { roomId, question, options, multiple, anonymous, durationMs } = data;
+    if (!requireHost(roomId, 'create-poll')) return;
+
+    const room = rooms[roomId];
+    if (openPolls(room).length >= MAX_OPEN_POLLS) {
+      return socket.emit('error', { event: 'create-poll', code: 'TOO_MANY_POLLS', message: `A room can have at most ${MAX_OPEN_POLLS} open polls` });
+    }
+    const problem = options.map(option => pollActionProblem(room, option.action)).find(Boolean);
+    if (problem) {
+      return socket.emit('error', { event: 'create-poll', code: 'INVALID_POLL_ACTION', message: problem });
+    }
+
+    const now = Date.now();
+    const poll = {
+      id: crypto.randomBytes(8).toString('hex'),
+      question,
+      options: options.map((option, i) => ({ id: String(i + 1), text: option.text, action: option.action || null })),
+      multiple: !!multiple,
+      anonymous: !!anonymous,
+      createdAt: now,
+      closesAt: durationMs ? now + durationMs : null,
+      closed: false,
+      closedAt: null,
+      result: null,
+      instanceId: INSTANCE_ID,
+      votes: {}             // sessionId → { optionIds, username, addressKey }
+    };
+    room.polls.push(poll);
+    armPollTimer(roomId, poll);
+    schedulePersist();
+    roomLog.info('Poll created', { roomId, pollId: poll.id, options: poll.options.length, closesAt: poll.closesAt });
+    io.to(roomId).emit('poll-created', pollView(roomId, poll));
+  });
+
+  // One vote per session: a new vote replaces the old one, [] withdraws it
+  on('vote-poll', (data, callback) => {
+    const { roomId, pollId, optionIds } = data;
+    const room = rooms[roomId];
+    const voter = room && room.users.find(u => u.id === socket.id);
+    const refuse = (code, message) => {
+      const error = { event: 'vote-poll', code, message };
+      if (typeof callback === 'function') callback({ error });
+      else socket.emit('error', error);
+    };
+    if (!voter) return refuse('NOT_IN_ROOM', 'Join the room to vote');
+    const poll = findPoll(room, pollId);
+    if (!poll) return refuse('POLL_NOT_FOUND', 'No such poll in this room');
+    if (poll.closed) return refuse('POLL_CLOSED', 'This poll has closed');
+
+    const chosen = [...new Set(optionIds)];
+    if (chosen.some(id => !poll.options.some(option => option.id === id))) {
+      return refuse('INVALID_OPTION', 'Unknown option for this poll');
+    }
+    if (!poll.multiple && chosen.length > 1) return refuse('SINGLE_CHOICE', 'This poll takes one choice');
+
+    // A voter who left and came back as a new session takes over their old vote
+    const addressKey = room.addresses[voter.sessionId] || null;
+    Object.keys(poll.votes).forEach(sessionId => {
+      if (sessionId === voter.sessionId || !addressKey || poll.votes[sessionId].addressKey !== addressKey) return;
+      const present = room.users.some(u => u.sessionId === sessionId && u.active !== false);
+      if (!present) delete poll.votes[sessionId];
     });
+
+    if (chosen.length === 0) delete poll.votes[voter.sessionId];
+    else poll.votes[voter.sessionId] = { optionIds: chosen, username: voter.username, addressKey };
+    schedulePersist();
+    io.to(roomId).emit('poll-updated', pollView(roomId, poll));
+    if (typeof callback === 'function') callback({ pollId, optionIds: chosen });
   });
-  
-  // Enhanced streaming status update handler
-  socket.on('streaming-status-update', (data) => {
-    const { roomId, streaming, fileName, fileType } = data;
 
-    console.log(`Streaming status update for room ${roomId}: ${streaming}`);
+  // Host closes a poll before (or without) its deadline
+  on('close-poll', (data) => {
+    const { roomId, pollId } = data;
+    if (!requireHost(roomId, 'close-poll')) return;
 
-    if (rooms[roomId]) {
-      rooms[roomId].streaming = streaming;
-      rooms[roomId].fileName = fileName;
-      rooms[roomId].fileType = fileType;
+    const poll = findPoll(rooms[roomId], pollId);
+    if (!poll || poll.closed) {
+      return socket.emit('error', { event: 'close-poll', code: 'POLL_NOT_FOUND', message: 'No open poll with that id in this room' });
+    }
+    closePoll(roomId, poll, 'host');
+  });
 
-      // If streaming is stopping, clear sync state and file reference
-      if (!streaming) {
-        rooms[roomId].syncState = null;
-        rooms[roomId].uploadId = null;
-      }
+  // Host turns wait-for-everyone on or off (and sets how long to wait for stragglers)
+  on('set-wait-for-everyone', (data) => {
+    const { roomId, enabled, timeoutMs } = data;
+    if (!requireHost(roomId, 'set-wait-for-everyone')) return;
 
-      // Notify non-chat-only users in room about the streaming status
-      const uploadId = rooms[roomId].uploadId || null;
-      rooms[roomId].users.forEach(user => {
-        if (!user.isChatOnly) {
-          io.to(user.id).emit('streaming-status', {
-            isStreaming: streaming,
-            fileName,
-            fileType,
-            uploadId
-          });
-        }
-      });
-    } else {
-      // Fallback if room data is not available
-      socket.to(roomId).emit('streaming-status', {
-        isStreaming: streaming,
-        fileName,
-        fileType,
-        uploadId: null
-      });
+    const room = rooms[roomId];
+    room.waitForEveryone = { enabled, timeoutMs: timeoutMs || room.waitForEveryone.timeoutMs };
+    if (!enabled) {
+      endBufferWait(roomId, 'disabled');
+      room.bufferExcused = [];
+    } else if (room.bufferWait) {
+      armBufferWaitTimer(roomId);
+    }
+    schedulePersist();
+    syncLog.info('Wait for everyone updated', { roomId, ...room.waitForEveryone });
+    io.to(roomId).emit('wait-for-everyone', { roomId, ...room.waitForEveryone });
+  });
+
+  // A viewer's player stalled
+  on('playback-buffering', (data) => {
+    const { roomId, currentTime } = data;
+    const room = rooms[roomId];
+    const user = room && room.users.find(u => u.id === socket.id);
+    if (!user || user.isChatOnly || !room.waitForEveryone.enabled) return;
+    if (room.bufferExcused.includes(socket.id)) return;
+
+    if (room.bufferWait) {
+      addBufferWaiter(roomId, socket.id);
+    } else if (room.uploadId && room.syncState && room.syncState.isPlaying) {
+      startBufferWait(roomId, socket.id, currentTime);
     }
   });
+
+  // ...and can play again
+  on('playback-ready', (data) => {
+    const { roomId } = data;
+    if (userSocketMap[socket.id] !== roomId) return;
+    releaseBufferWaiter(roomId, socket.id);
+  });
   
   // Handle "about to start streaming" notification
-  socket.on('streamingAboutToStart', (data) => {
+  on('streamingAboutToStart', (data) => {
     const { roomId } = data;
+    if (!requireHost(roomId, 'streamingAboutToStart')) return;
     
-    console.log(`Host is about to start streaming in room ${roomId}`);
+    roomLog.info('Host is about to start streaming');
     
     // Notify non-chat-only viewers that host is about to start streaming
     if (rooms[roomId]) {
@@ -753,15 +3854,13 @@ io.on('connection', (socket) => {
       regularViewers.forEach(viewer => {
         io.to(viewer.id).emit('streamingAboutToStart');
       });
-    } else {
-      // Fallback if room data is not available
-      socket.to(roomId).emit('streamingAboutToStart');
     }
   });
   
   // Forward host play/pause events to viewers
-  socket.on('hostVideoPlayPause', (data) => {
+  on('hostVideoPlayPause', (data) => {
     const { roomId, paused } = data;
+    if (!requireHost(roomId, 'hostVideoPlayPause')) return;
 
     if (rooms[roomId]) {
       const regularViewers = rooms[roomId].users.filter(user =>
@@ -773,16 +3872,59 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Queue management (host only). Uploads join the queue through /upload/init;
+  // these events remove, reorder and advance it.
+  on('queue-remove', (data) => {
+    const { roomId, uploadId } = data;
+    if (!requireHost(roomId, 'queue-remove')) return;
+
+    if (rooms[roomId].uploadId === uploadId) {
+      advanceQueue(roomId);
+    } else if (rooms[roomId].queue.includes(uploadId)) {
+      deleteUploadedFile(uploadId).catch(() => {});
+    }
+  });
+
+  on('queue-reorder', (data) => {
+    const { roomId, uploadId, toIndex } = data;
+    if (!requireHost(roomId, 'queue-reorder')) return;
+
+    const queue = rooms[roomId].queue;
+    const from = queue.indexOf(uploadId);
+    if (from === -1 || !Number.isInteger(toIndex)) return;
+    queue.splice(from, 1);
+    queue.splice(Math.max(0, Math.min(toIndex, queue.length)), 0, uploadId);
+    broadcastQueue(roomId);
+    schedulePersist();
+  });
+
+  on('queue-next', (data) => {
+    const { roomId } = data;
+    if (!requireHost(roomId, 'queue-next')) return;
+    advanceQueue(roomId);
+  });
+
+  // Host reports the current video reached its end — auto-advance. The uploadId
+  // guards against a late duplicate "ended" skipping the entry after it.
+  on('videoEnded', (data) => {
+    const { roomId, uploadId } = data;
+    if (!requireHost(roomId, 'videoEnded')) return;
+    if (uploadId && rooms[roomId].uploadId !== uploadId) return;
+
+    roomLog.info('Video ended', { uploadId: rooms[roomId].uploadId });
+    advanceQueue(roomId);
+  });
+
   // Enhanced connection health check
-  socket.on('connection-health-check', (data) => {
+  on('connection-health-check', (data) => {
     const { roomId, targetSocketId } = data;
     
-    console.log(`Connection health check from ${socket.id} to ${targetSocketId || 'all'} in room ${roomId}`);
+    peerLog.debug('Connection health check', { targetSocketId });
     
     // If checking a specific user
     if (targetSocketId) {
       // Check if target is still connected
-      const isConnected = io.sockets.sockets.has(targetSocketId);
+      const isConnected = isSocketConnected(targetSocketId);
       
       // Get connection health data
       const health = connectionHealth[targetSocketId] || { lastHeartbeat: 0 };
@@ -812,7 +3954,7 @@ io.on('connection', (socket) => {
         
         // Get status for each user
         rooms[roomId].users.forEach(user => {
-          const isConnected = io.sockets.sockets.has(user.id);
+          const isConnected = isSocketConnected(user.id);
           const health = connectionHealth[user.id] || { lastHeartbeat: 0 };
           const timeSinceHeartbeat = Date.now() - health.lastHeartbeat;
           
@@ -834,9 +3976,46 @@ io.on('connection', (socket) => {
     }
   });
   
+  // Generic WebRTC signaling: offers, answers and ICE candidates (simple-peer
+  // "signal" data) are passed through untouched to one other member of the
+  // same room. Both ends must be in the room and neither may be chat-only.
+  on('signal', (data) => {
+    const { roomId, targetSocketId, signal, channel } = data;
+    const room = rooms[roomId];
+    const deny = (code, message) => socket.emit('permission-denied', { event: 'signal', roomId, code, message });
+
+    const sender = room && room.users.find(u => u.id === socket.id);
+    if (!sender) return deny('NOT_IN_ROOM', 'Join the room before signaling');
+    if (sender.isChatOnly) return deny('CHAT_ONLY', 'Chat-only users do not take part in WebRTC');
+
+    const target = room.users.find(u => u.id === targetSocketId);
+    if (!target || target.id === socket.id || !isSocketConnected(target.id)) {
+      return socket.emit('webrtc-target-unreachable', { targetSocketId, reason: 'Target is not connected to this room' });
+    }
+    if (target.isChatOnly) {
+      return socket.emit('webrtc-target-unreachable', {
+        targetSocketId,
+        reason: 'Target is in chat-only mode and does not require video stream'
+      });
+    }
+    if (Buffer.byteLength(JSON.stringify(signal)) > MAX_SIGNAL_BYTES) {
+      return socket.emit('error', { event: 'signal', code: 'SIGNAL_TOO_LARGE', message: `Signal data is limited to ${MAX_SIGNAL_BYTES} bytes` });
+    }
+
+    peerLog.debug('Relaying signal', { targetSocketId, type: signal.type || (signal.candidate ? 'candidate' : undefined), channel });
+    io.to(target.id).emit('signal', {
+      roomId,
+      fromSocketId: socket.id,
+      fromPeerId: peerIdMap[socket.id],
+      channel: channel || null,
+      signal
+    });
+  });
+
   // Handle disconnection with improved cleanup
-  socket.on('disconnect', () => {
-    console.log(`User disconnected: ${socket.id}`);
+  on('disconnect', () => {
+    roomLog.debug('Socket disconnected');
+    disconnectsTotal.inc();
     
     // Get room ID this socket was in
     const roomId = userSocketMap[socket.id];
@@ -848,7 +4027,7 @@ io.on('connection', (socket) => {
       const wasHost = user ? user.isHost : false;
       const wasChatOnly = user ? user.isChatOnly : false;
       
-      console.log(`Disconnected user details: ${username}, isHost: ${wasHost}, isChatOnly: ${wasChatOnly}`);
+      roomLog.info('User disconnected', { roomId, username, isHost: wasHost, isChatOnly: wasChatOnly });
       
       // Update connection health
       if (connectionHealth[socket.id]) {
@@ -860,53 +4039,20 @@ io.on('connection', (socket) => {
       if (user) {
         user.active = false;
         user.disconnectedAt = Date.now();
+        // Nobody waits for a viewer who isn't there
+        releaseBufferWaiter(roomId, socket.id);
         
-        // Schedule cleanup after 30 seconds if not reconnected
+        // Schedule cleanup once the reconnect window has passed without a reclaim
         setTimeout(() => {
-          if (rooms[roomId] && rooms[roomId].users) {
-            // Check if user is still in inactive state
-            const currentUser = rooms[roomId].users.find(u => u.id === socket.id);
-            if (currentUser && currentUser.active === false) {
-              // Remove user after timeout
-              rooms[roomId].users = rooms[roomId].users.filter(u => u.id !== socket.id);
-
-              // If room is empty, clean up everything
-              if (rooms[roomId].users.length === 0) {
-                const uid = rooms[roomId].uploadId;
-                if (uid) deleteUploadedFile(uid).catch(() => {});
-                delete rooms[roomId];
-                console.log(`Room ${roomId} deleted (empty) — upload ${uid || 'none'} cleaned up`);
-              } else {
-                // If host left and hasn't reconnected, tear down the stream
-                if (wasHost && rooms[roomId].host === socket.id) {
-                  rooms[roomId].host = null;
-                  const uid = rooms[roomId].uploadId;
-                  if (uid) {
-                    deleteUploadedFile(uid).catch(() => {});
-                    rooms[roomId].uploadId = null;
-                    rooms[roomId].streaming = false;
-                    // Notify remaining viewers that the stream ended
-                    io.to(roomId).emit('streaming-status', { isStreaming: false, fileName: null, fileType: null, uploadId: null });
-                  }
-                  console.log(`Host left room ${roomId} — stream cleaned up`);
-                }
-
-                // Notify remaining users that this user left
-                io.to(roomId).emit('userLeft', {
-                  username,
-                  users: rooms[roomId].users.filter(u => u.active !== false)
-                });
-
-                console.log(`User ${username} removed from room ${roomId} after timeout`);
-              }
-            }
+          // Check if user is still in inactive state
+          const currentUser = rooms[roomId] && rooms[roomId].users.find(u => u.id === socket.id);
+          if (currentUser && currentUser.active === false) {
+            finalizeUserRemoval(roomId, socket.id);
+            roomLog.info('User removed after timeout', { roomId, username });
           }
-
-          // Clean up all per-socket maps
-          delete connectionHealth[socket.id];
-          delete userSocketMap[socket.id];
-          delete peerIdMap[socket.id];
-        }, 30000); // 30 second grace period for reconnection
+          forgetSocket(socket.id);
+          schedulePersist();
+        }, SESSION_RECLAIM_MS);
       }
       
       // Immediately notify other users that this user has disconnected
@@ -918,6 +4064,7 @@ io.on('connection', (socket) => {
         isChatOnly: wasChatOnly,
         timestamp: Date.now()
       });
+      schedulePersist();
     }
     
     // Don't immediately remove socket from maps to allow for reconnection
@@ -925,25 +4072,18 @@ io.on('connection', (socket) => {
   });
   
   // Room creation with improved validation
-  socket.on('create-room', (_, callback) => {
+  on('create-room', (_, callback) => {
     // Generate a random room ID
-    const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let roomId = '';
+    const roomId = generateRoomId('ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789');
+    // The creator proves host status in joinRoom with this token
+    const hostToken = signHostToken(roomId);
     
-    // Ensure unique room ID
-    do {
-      roomId = '';
-      for (let i = 0; i < 6; i++) {
-        roomId += characters.charAt(Math.floor(Math.random() * characters.length));
-      }
-    } while (rooms[roomId]);
-    
-    console.log(`Created new room: ${roomId}`);
+    roomLog.info('Created new room', { roomId });
     
     if (callback && typeof callback === 'function') {
-      callback({ roomId });
+      callback({ roomId, hostToken });
     } else {
-      socket.emit('roomCreated', { roomId });
+      socket.emit('roomCreated', { roomId, hostToken });
     }
   });
 });
@@ -965,16 +4105,18 @@ setInterval(() => {
       if (user.active === false) return;
       
       const health = connectionHealth[user.id];
+      // Sockets on other instances are watched by those instances
+      if (health && health.instanceId !== INSTANCE_ID) return;
       
       // If no health data or last heartbeat is too old (over 30 seconds)
       if (!health || now - health.lastHeartbeat > 30000) {
-        console.log(`User ${user.username} (${user.id}) in room ${roomId} appears disconnected`);
+        roomLog.debug('User appears disconnected', { roomId, socketId: user.id, username: user.username });
         
         // Check if socket is actually connected
-        const isConnected = io.sockets.sockets.has(user.id);
+        const isConnected = isSocketConnected(user.id);
         
         if (!isConnected) {
-          console.log(`Confirming ${user.id} is disconnected, marking as inactive`);
+          roomLog.debug('Confirmed disconnected, marking inactive', { roomId, socketId: user.id });
           // Mark as inactive
           user.active = false;
           user.disconnectedAt = now;
@@ -1002,23 +4144,30 @@ setInterval(() => {
       }
     });
     
-    // Cleanup old inactive users (disconnected for more than 5 minutes)
+    // Cleanup old inactive users (disconnected for more than 5 minutes, and past the reclaim window)
     room.users = room.users.filter(user => {
-      if (user.active === false && now - user.disconnectedAt > 300000) {
-        console.log(`Removing inactive user ${user.username} (${user.id}) from room ${roomId}`);
+      if (user.active === false && now - user.disconnectedAt > Math.max(300000, SESSION_RECLAIM_MS)) {
+        roomLog.info('Removing inactive user', { roomId, socketId: user.id, username: user.username });
         return false;
       }
       return true;
     });
     
-    // If room is empty or inactive for 30 minutes, remove it and its upload
-    if (room.users.length === 0 || now - room.lastActive > 1800000) {
-      if (room.uploadId) deleteUploadedFile(room.uploadId).catch(() => {});
+    checkPartyTakeover(roomId, now);
+    checkPollDeadlines(roomId, now);
+
+    // If room is empty or inactive for 30 minutes, remove it and its uploads
+    // (a booked party waits for its start instead)
+    if ((room.users.length === 0 || now - room.lastActive > 1800000) && !isPartyPending(room, now)) {
+      deleteRoomUploads(room);
       delete rooms[roomId];
-      console.log(`Removed inactive room ${roomId}`);
+      roomLog.info('Removed inactive room', { roomId });
     }
   });
   
+  sweepTimelines(now);
+  sweepRoomIdReservations(now);
+
   // Clean up stale connection health data
   Object.keys(connectionHealth).forEach(socketId => {
     const health = connectionHealth[socketId];
@@ -1027,75 +4176,425 @@ setInterval(() => {
       delete connectionHealth[socketId];
     }
   });
+
+  schedulePersist();
 }, 15000);
 
 // Create room endpoint
 app.post('/create-room', (req, res) => {
   // Generate a random room ID
-  const characters = '0123456789';
-  let roomId = '';
-  
-  // Ensure unique room ID
-  do {
-    roomId = '';
-    for (let i = 0; i < 6; i++) {
-      roomId += characters.charAt(Math.floor(Math.random() * characters.length));
-    }
-  } while (rooms[roomId]);
+  const roomId = generateRoomId('0123456789');
   
-  console.log(`API created new room: ${roomId}`);
+  roomLog.info('API created new room', { roomId });
   
-  res.json({ roomId });
+  res.json({ roomId, hostToken: signHostToken(roomId) });
+});
+
+// POST /rooms/:roomId/schedule — book (or re-time) a watch party; needs the
+// host token. Body: { startsAt: ms since epoch or ISO date, title?, uploadId? }.
+// Creates the room if nobody has joined it yet; uploads started afterwards
+// through /upload/init attach to it as usual. The response carries a fresh
+// host token that stays valid until the party's no-show deadline, since the
+// one from create-room may expire long before a party weeks ahead.
+app.post('/rooms/:roomId/schedule', express.json(), (req, res) => {
+  const { roomId } = req.params;
+  if (!verifyHostToken(getRequestHostToken(req), roomId)) {
+    return res.status(403).json({ error: 'Only the room host can schedule a party' });
+  }
+  const { title, uploadId } = req.body;
+  const startsAt = typeof req.body.startsAt === 'string' ? Date.parse(req.body.startsAt) : Number(req.body.startsAt);
+  const now = Date.now();
+  if (!Number.isFinite(startsAt) || startsAt <= now) {
+    return res.status(400).json({ error: 'startsAt must be a time in the future', serverTime: now });
+  }
+  if (startsAt - now > MAX_PARTY_LEAD_MS) {
+    return res.status(400).json({ error: 'Parties can be scheduled at most 30 days ahead' });
+  }
+  if (title !== undefined && (typeof title !== 'string' || title.length > MAX_PARTY_TITLE_LENGTH)) {
+    return res.status(400).json({ error: `title must be a string of at most ${MAX_PARTY_TITLE_LENGTH} characters` });
+  }
+  if (uploadId !== undefined && (!uploadInfo(uploadId) || uploadInfo(uploadId).roomId !== roomId)) {
+    return res.status(404).json({ error: 'Upload not found for this room' });
+  }
+
+  if (!rooms[roomId]) rooms[roomId] = createRoomRecord(roomId);
+  const room = rooms[roomId];
+  // A party that has ended leaves the room free for the next one
+  if (room.party && room.party.state === 'playing') {
+    return res.status(409).json({ error: 'This party has already started', ...partyView(roomId) });
+  }
+  // The party plays its upload: it becomes current, and whatever was current
+  // moves back to the front of the queue
+  if (uploadId && room.uploadId !== uploadId) {
+    if (!room.uploadId) {
+      room.uploadId = uploadId;
+      room.queue = room.queue.filter(uid => uid !== uploadId);
+      broadcastQueue(roomId);
+    } else {
+      room.queue = [uploadId, ...room.queue.filter(uid => uid !== uploadId)];
+      advanceQueue(roomId, { requeueCurrent: true });
+    }
+  }
+
+  room.party = {
+    state: 'scheduled',
+    title: title || (room.party && room.party.title) || null,
+    startsAt,
+    scheduledAt: now,
+    startedAt: null,
+    endedAt: null,
+    waitingForUpload: false,
+    instanceId: INSTANCE_ID
+  };
+  room.lastActive = now;
+  roomLog.info('Party scheduled', { roomId, startsAt, uploadId: room.uploadId });
+  advanceParty(roomId); // opens the lobby straight away when the start is near
+  if (room.party.state === 'scheduled') broadcastParty(roomId);
+  schedulePersist();
+  res.json({ ...partyView(roomId), hostToken: signHostToken(roomId, startsAt + PARTY_NO_SHOW_MS) });
+});
+
+// GET /rooms/:roomId/schedule — countdown info for a pre-join page
+app.get('/rooms/:roomId/schedule', (req, res) => {
+  const room = rooms[req.params.roomId];
+  if (!room || !room.party) return res.status(404).json({ error: 'No party scheduled for this room' });
+  res.set('Cache-Control', 'no-store');
+  res.json(partyView(req.params.roomId));
+});
+
+// DELETE /rooms/:roomId/schedule — call a party off before it starts (host token)
+app.delete('/rooms/:roomId/schedule', (req, res) => {
+  const { roomId } = req.params;
+  if (!verifyHostToken(getRequestHostToken(req), roomId)) {
+    return res.status(403).json({ error: 'Only the room host can cancel a party' });
+  }
+  const room = rooms[roomId];
+  if (!room || !isPartyPending(room)) return res.status(404).json({ error: 'No party waiting to start in this room' });
+
+  room.party = null;
+  clearTimeout(partyTimers[roomId]);
+  delete partyTimers[roomId];
+  room.lastActive = Date.now();
+  roomLog.info('Party cancelled', { roomId });
+  io.to(roomId).emit('room-lifecycle', { roomId, state: 'cancelled', serverTime: Date.now() });
+  schedulePersist();
+  res.json({ cancelled: true });
+});
+
+// GET /turn-credentials?roomId= — TURN credentials for a WebRTC participant of
+// the room, identified by the session token from the "session" event
+// (X-Session-Token header)
+app.get('/turn-credentials', (req, res) => {
+  if (!TURN_SECRET || TURN_URLS.length === 0) {
+    return res.status(404).json({ error: 'TURN is not configured (set TURN_SECRET and TURN_URLS)' });
+  }
+  const sessionId = verifySessionToken(req.get('x-session-token'));
+  if (!sessionId) return res.status(401).json({ error: 'Session token required' });
+
+  const room = rooms[req.query.roomId];
+  const seat = room && room.users.find(user => user.sessionId === sessionId && user.active !== false);
+  if (!seat) return res.status(403).json({ error: 'Join the room before requesting TURN credentials' });
+  if (seat.isChatOnly) return res.status(403).json({ error: 'Chat-only users do not take part in WebRTC' });
+
+  const creds = turnCredentials(seat.id);
+  peerLog.debug('Issued TURN credentials', { roomId: req.query.roomId, userId: seat.id, expiresAt: creds.expiresAt });
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    ...creds,
+    iceServers: [{ urls: TURN_URLS, username: creds.username, credential: creds.credential }]
+  });
 });
 
 // ─── Upload / Streaming Routes ───────────────────────────────────────────────
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES, 10) || 20 * 1024 * 1024 * 1024; // 20 GB
+const MAX_UPLOAD_CHUNKS = parseInt(process.env.MAX_UPLOAD_CHUNKS, 10) || Math.ceil(MAX_UPLOAD_BYTES / CHUNK_SIZE);
 
-// POST /upload/init — client calls this first to get an uploadId
-app.post('/upload/init', express.json(), (req, res) => {
-  const { fileName, fileType, fileSize, roomId, totalChunks } = req.body;
+// POST /upload/init — client calls this first to get an uploadId (needs the host token)
+app.post('/upload/init', rejectWhileShuttingDown, express.json(), (req, res) => {
+  const { fileName, fileType, roomId, sha256 } = req.body;
+  const fileSize = Number(req.body.fileSize);
+  const totalChunks = Number(req.body.totalChunks);
   if (!fileName || !fileType || !roomId || !totalChunks) {
     return res.status(400).json({ error: 'Missing required fields' });
   }
-  // Derive safe extension from MIME type or filename
-  const extMap = { 'x-matroska': 'mkv', 'x-msvideo': 'avi', quicktime: 'mov', 'x-ms-wmv': 'wmv', 'x-flv': 'flv' };
-  let ext = (fileType.split('/')[1] || 'mp4').split(';')[0].trim();
-  ext = extMap[ext] || ext;
+  if (sha256 !== undefined && !isSha256Hex(sha256)) {
+    return res.status(400).json({ error: 'sha256 must be a 64-character hex string' });
+  }
+  if (!verifyHostToken(getRequestHostToken(req), roomId)) {
+    return res.status(403).json({ error: 'Only the room host can upload' });
+  }
+  // The MIME type picks the extension and the Content-Type /stream serves, so
+  // only known video containers get in; the bytes are checked on assembly
+  const type = media.resolveType(fileType);
+  if (!type) {
+    return res.status(415).json({ error: 'Unsupported file type', fileType, allowed: Object.keys(media.ALLOWED_TYPES) });
+  }
+  if (!Number.isInteger(fileSize) || fileSize <= 0) {
+    return res.status(400).json({ error: 'fileSize must be a positive integer' });
+  }
+  if (fileSize > MAX_UPLOAD_BYTES || totalChunks > MAX_UPLOAD_CHUNKS) {
+    return res.status(413).json({ error: 'File too large', maxBytes: MAX_UPLOAD_BYTES, maxChunks: MAX_UPLOAD_CHUNKS });
+  }
+  if (totalChunks !== Math.ceil(fileSize / CHUNK_SIZE)) {
+    return res.status(400).json({ error: 'totalChunks does not match fileSize', chunkSize: CHUNK_SIZE });
+  }
 
   const uploadId = crypto.randomBytes(8).toString('hex');
   uploads[uploadId] = {
-    roomId, fileName, fileType,
-    fileSize: parseInt(fileSize, 10) || 0,
-    totalChunks: parseInt(totalChunks, 10),
+    roomId, fileName,
+    fileType: type.type,
+    fileSize,
+    totalChunks,
     receivedChunks: 0,
     assembledChunks: 0,       // sequential chunks written to disk so far
     pendingChunkSet: new Set(), // received but not yet appended (gap in sequence)
+    receivingChunks: new Set(), // indices currently being written by multer
     assembled: false,           // all chunks done
+    sha256: sha256 || null,     // optional whole-file hash, checked at finalisation
+    verified: null,             // result of that check (null = not checked)
     streamReadyEmitted: false,  // 10% threshold crossed
     assembling: false,          // lock: prevents concurrent assembleSequential calls
     writeStream: null,          // open write stream into growing file
-    ext
+    container: null,            // sniffed from the first chunk (media.sniffContainer)
+    scanStatus: null,           // scanner hook: null | 'scanning' | 'passed' | 'failed'
+    ext: type.ext
   };
 
-  if (rooms[roomId]) rooms[roomId].uploadId = uploadId;
-  console.log(`Upload init: ${uploadId} (${fileName}, ${totalChunks} chunks)`);
-  res.json({ uploadId });
+  // Play immediately if nothing is playing, otherwise queue behind the current upload
+  const room = rooms[roomId];
+  let queued = false;
+  if (room) {
+    if (room.uploadId && uploadInfo(room.uploadId)) {
+      room.queue.push(uploadId);
+      queued = true;
+    } else {
+      room.uploadId = uploadId;
+    }
+    broadcastQueue(roomId);
+  }
+  schedulePersist();
+  uploadLog.info('Upload init', { uploadId, roomId, fileType: type.type, fileSize, totalChunks, queued });
+  res.json({ uploadId, queued, position: queued ? room.queue.length : 0 });
 });
 
 // POST /upload/chunk/:uploadId/:chunkIndex — upload one chunk (multipart, field "chunk")
-app.post('/upload/chunk/:uploadId/:chunkIndex', (req, res, next) => {
-  if (!uploads[req.params.uploadId]) return res.status(404).json({ error: 'Upload not found' });
-  next();
-}, chunkUpload.single('chunk'), (req, res) => {
+// Optional SHA-256 of the chunk in the X-Chunk-SHA256 header (or a "sha256" form
+// field sent before the file). Duplicate and out-of-range indices are refused
+// before multer touches the disk so an existing chunk is never overwritten.
+// Every chunk but the last must be exactly CHUNK_SIZE bytes (busboy flags a
+// file that *reaches* its limit, hence the + 1; the exact size is checked below).
+const chunkUpload = multer({ storage: chunkStorage, limits: { fileSize: CHUNK_SIZE + 1 } });
+
+app.post('/upload/chunk/:uploadId/:chunkIndex', rejectWhileShuttingDown, (req, res, next) => {
+  req.receiveStartedAt = Date.now();
+  const meta = uploads[req.params.uploadId];
+  if (!meta) return res.status(404).json({ error: 'Upload not found' });
+
+  const chunkIndex = Number(req.params.chunkIndex);
+  if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= meta.totalChunks) {
+    return res.status(400).json({ error: 'Chunk index out of range', chunkIndex: req.params.chunkIndex, total: meta.totalChunks });
+  }
+  if (chunkIndex < meta.assembledChunks || meta.pendingChunkSet.has(chunkIndex) || meta.receivingChunks.has(chunkIndex)) {
+    return res.status(409).json({ error: 'Chunk already received', chunkIndex });
+  }
+
+  meta.receivingChunks.add(chunkIndex);
+  res.on('close', () => meta.receivingChunks.delete(chunkIndex));
+  chunkUpload.single('chunk')(req, res, err => {
+    if (err) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: err.message, chunkIndex });
+    }
+    next();
+  });
+}, async (req, res) => {
   const { uploadId } = req.params;
-  const chunkIndex = parseInt(req.params.chunkIndex, 10);
+  const chunkIndex = Number(req.params.chunkIndex);
   const meta = uploads[uploadId];
+  if (!meta) {
+    // Upload was deleted while this chunk was in flight
+    if (req.file) await fsp.unlink(req.file.path).catch(() => {});
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  if (!req.file) return res.status(400).json({ error: 'Missing chunk file' });
+
+  const expectedSize = chunkIndex === meta.totalChunks - 1
+    ? meta.fileSize - chunkIndex * CHUNK_SIZE
+    : CHUNK_SIZE;
+  if (req.file.size !== expectedSize) {
+    await fsp.unlink(req.file.path).catch(() => {});
+    return res.status(400).json({ error: 'Wrong chunk size', chunkIndex, expected: expectedSize, actual: req.file.size });
+  }
+
+  const expected = req.get('x-chunk-sha256') || (req.body && req.body.sha256);
+  if (expected) {
+    const actual = isSha256Hex(expected) ? await hashFile(req.file.path).catch(() => null) : null;
+    if (!actual || actual !== expected.toLowerCase()) {
+      await fsp.unlink(req.file.path).catch(() => {});
+      uploadLog.warn('Chunk failed checksum verification', { uploadId, chunkIndex });
+      return res.status(422).json({ error: 'Chunk checksum mismatch', chunkIndex });
+    }
+  }
+
   meta.receivedChunks++;
   meta.pendingChunkSet.add(chunkIndex);
+  chunkReceiveSeconds.observe((Date.now() - req.receiveStartedAt) / 1000);
+  schedulePersist();
+  // An out-of-order chunk may be exactly what a pending seek was waiting for
+  checkPendingSeek(uploadId, meta);
+  // ...or the tail holding a trailing moov, which unblocks stream-ready
+  const seekEntry = seekIndexes[uploadId];
+  if (seekEntry && seekEntry.moovAtEnd) probeSeekIndex(uploadId, meta).catch(() => {});
   res.json({ received: meta.receivedChunks, total: meta.totalChunks });
   // Kick off sequential assembly (non-blocking — response already sent)
   assembleSequential(uploadId, meta);
 });
 
+// GET /upload/:uploadId/status — which chunks the server already holds, so a
+// client can resume after a network drop by sending only what's missing. A
+// rejected upload is gone, but says why (410) for a while afterwards.
+app.get('/upload/:uploadId/status', (req, res) => {
+  const meta = uploads[req.params.uploadId];
+  const rejected = rejectedUploads.get(req.params.uploadId);
+  if (!meta && rejected) {
+    return res.status(410).json({ uploadId: req.params.uploadId, failed: true, ...rejected });
+  }
+  if (!meta) return res.status(404).json({ error: 'Upload not found' });
+
+  const assembledIndices = Array.from({ length: meta.assembledChunks }, (_, i) => i);
+  const pendingIndices = [...meta.pendingChunkSet].sort((a, b) => a - b);
+  const receivedIndices = assembledIndices.concat(pendingIndices);
+  const have = new Set(receivedIndices);
+  const missingIndices = [];
+  for (let i = 0; i < meta.totalChunks; i++) {
+    if (!have.has(i) && !meta.receivingChunks.has(i)) missingIndices.push(i);
+  }
+
+  res.json({
+    uploadId: req.params.uploadId,
+    totalChunks: meta.totalChunks,
+    chunkSize: CHUNK_SIZE,
+    receivedChunks: receivedIndices,
+    assembledChunks: assembledIndices,
+    missingChunks: missingIndices,
+    assembled: meta.assembled,
+    verified: meta.verified
+  });
+});
+
+// ─── Subtitles ───────────────────────────────────────────────────────────────
+// POST /upload/:uploadId/subtitles — multipart, field "subtitle" (.srt/.vtt/.ass),
+// optional "label", "language" and "offset" (seconds, shifts every cue). Needs
+// the host token in a header — it is checked before the file is read, so only
+// the host can make the server buffer one. Converted to WebVTT once and served
+// from /subtitles/:trackId.
+const MAX_SUBTITLE_BYTES = 2 * 1024 * 1024;
+const MAX_SUBTITLE_OFFSET = 600; // seconds, either direction
+const subtitleUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_SUBTITLE_BYTES } });
+
+app.post('/upload/:uploadId/subtitles', rejectWhileShuttingDown, (req, res, next) => {
+  const meta = uploads[req.params.uploadId];
+  if (!meta) return res.status(404).json({ error: 'Upload not found' });
+  if (!verifyHostToken(getRequestHostToken(req), meta.roomId)) {
+    return res.status(403).json({ error: 'Only the room host can add subtitles' });
+  }
+  subtitleUpload.single('subtitle')(req, res, err => {
+    if (err) return res.status(400).json({ error: err.message });
+    next();
+  });
+}, async (req, res) => {
+  const { uploadId } = req.params;
+  const meta = uploads[uploadId];
+  if (!meta) return res.status(404).json({ error: 'Upload not found' }); // deleted mid-upload
+  if (!req.file) return res.status(400).json({ error: 'Missing subtitle file' });
+
+  const offset = Number(req.body.offset) || 0;
+  if (Math.abs(offset) > MAX_SUBTITLE_OFFSET) {
+    return res.status(400).json({ error: `offset must be within ±${MAX_SUBTITLE_OFFSET} seconds` });
+  }
+
+  const text = req.file.buffer.toString('utf8');
+  const format = subtitles.detectFormat(req.file.originalname, text);
+  if (!format) {
+    return res.status(400).json({ error: `Unsupported subtitle format (expected ${subtitles.SUPPORTED_FORMATS.join(', ')})` });
+  }
+
+  let converted;
+  try {
+    converted = subtitles.convertToWebVTT(text, format, offset);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const trackId = crypto.randomBytes(8).toString('hex');
+  await fsp.writeFile(path.join(subtitlesDir, `${trackId}.vtt`), converted.vtt);
+  if (!uploads[uploadId]) {
+    // Upload was deleted while we were converting
+    await fsp.unlink(path.join(subtitlesDir, `${trackId}.vtt`)).catch(() => {});
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+
+  const track = {
+    trackId,
+    label: String(req.body.label || req.file.originalname || 'Subtitles').slice(0, 100),
+    language: String(req.body.language || '').slice(0, 20),
+    format,
+    cueCount: converted.cueCount
+  };
+  meta.subtitles = [...(meta.subtitles || []), track];
+  schedulePersist();
+  uploadLog.info('Subtitle track added', { uploadId, trackId, format, cues: converted.cueCount });
+
+  if (rooms[meta.roomId]) {
+    io.to(meta.roomId).emit('subtitles-updated', { uploadId, subtitles: subtitleTracks(uploadId) });
+  }
+  res.json({ ...track, url: `/subtitles/${trackId}` });
+});
+
+// GET /subtitles/:trackId — converted WebVTT track
+app.get('/subtitles/:trackId', (req, res) => {
+  const { trackId } = req.params;
+  const known = Object.values(uploads).some(meta => (meta.subtitles || []).some(track => track.trackId === trackId));
+  if (!known) return res.status(404).json({ error: 'Subtitle track not found' });
+
+  res.sendFile(path.join(subtitlesDir, `${trackId}.vtt`), {
+    headers: { 'Content-Type': 'text/vtt; charset=utf-8', 'Cache-Control': 'no-cache' }
+  }, err => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Subtitle track not found' });
+  });
+});
+
+// GET /timelines/:timelineId?format=vtt|json&from=&to= — export a video's
+// time-coded comments (timelineId = its uploadId); needs the room's host token.
+// Works during the session and for TIMELINE_RETENTION_MS after it ends.
+app.get('/timelines/:timelineId', (req, res) => {
+  const timeline = timelines[req.params.timelineId];
+  if (!timeline) return res.status(404).json({ error: 'No comments for this video' });
+  if (!canExportTimeline(getRequestHostToken(req), timeline)) {
+    return res.status(403).json({ error: 'Only the room host can export comments' });
+  }
+  const from = Number(req.query.from) || 0;
+  const to = req.query.to !== undefined && Number.isFinite(Number(req.query.to)) ? Number(req.query.to) : Infinity;
+  const comments = timelineRange(timeline.uploadId, from, to);
+  const baseName = (timeline.fileName || timeline.uploadId).replace(/\.[^.]*$/, '').replace(/[^\w.-]+/g, '_');
+
+  if (req.query.format === 'json') {
+    res.set('Content-Disposition', `attachment; filename="${baseName}.comments.json"`);
+    return res.json({
+      uploadId: timeline.uploadId,
+      roomId: timeline.roomId,
+      fileName: timeline.fileName,
+      endedAt: timeline.endedAt,
+      comments
+    });
+  }
+  res.set({
+    'Content-Type': 'text/vtt; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${baseName}.comments.vtt"`
+  });
+  res.send(timelineToWebVTT(comments));
+});
+
 // GET /stream/:uploadId — serve video; supports Range requests on a growing file
 app.get('/stream/:uploadId', (req, res) => {
   const meta = uploads[req.params.uploadId];
@@ -1103,34 +4602,43 @@ app.get('/stream/:uploadId', (req, res) => {
 
   const filePath = path.join(uploadsDir, `${req.params.uploadId}.${meta.ext}`);
   const totalSize = meta.fileSize;           // declared total — stays constant
-  const contentType = meta.fileType || 'video/mp4';
+  const contentType = meta.fileType;        // allowlisted at init, content sniffed
   const range = req.headers.range;
+  const byteRange = range ? parseByteRange(range, totalSize) : undefined;
 
-  if (range) {
-    const [startStr, endStr] = range.replace(/bytes=/, '').split('-');
-    const start = parseInt(startStr, 10);
-    const end   = endStr ? Math.min(parseInt(endStr, 10), totalSize - 1) : totalSize - 1;
+  if (byteRange === null) {
+    res.set('Content-Range', `bytes */${totalSize}`);
+    return res.status(416).json({ error: 'Requested range not satisfiable' });
+  }
+  if (byteRange) {
+    const { start, end } = byteRange;
     res.writeHead(206, {
       'Content-Range':  `bytes ${start}-${end}/${totalSize}`,
       'Accept-Ranges':  'bytes',
       'Content-Length': end - start + 1,
       'Content-Type':   contentType,
+      'X-Content-Type-Options': 'nosniff',
       'Cache-Control':  'no-cache'
     });
-    pipeGrowingFile(filePath, start, end, meta, req, res);
+    pipeGrowingFile(req.params.uploadId, filePath, start, end, meta, req, res);
   } else {
     res.writeHead(200, {
       'Content-Length': totalSize,
       'Content-Type':   contentType,
       'Accept-Ranges':  'bytes',
+      'X-Content-Type-Options': 'nosniff',
       'Cache-Control':  'no-cache'
     });
-    pipeGrowingFile(filePath, 0, totalSize - 1, meta, req, res);
+    pipeGrowingFile(req.params.uploadId, filePath, 0, totalSize - 1, meta, req, res);
   }
 });
 
-// DELETE /upload/:uploadId — explicit cleanup (called by client on stopStreaming)
+// DELETE /upload/:uploadId — explicit cleanup (called by client on stopStreaming; needs the host token)
 app.delete('/upload/:uploadId', async (req, res) => {
+  const meta = uploads[req.params.uploadId];
+  if (meta && !verifyHostToken(getRequestHostToken(req), meta.roomId)) {
+    return res.status(403).json({ error: 'Only the room host can delete this upload' });
+  }
   await deleteUploadedFile(req.params.uploadId);
   res.json({ deleted: true });
 });
@@ -1153,8 +4661,289 @@ app.get('/health', (req, res) => {
   res.status(200).json(healthData);
 });
 
-// Start server
+// Prometheus scrape endpoint. Set METRICS_TOKEN to require "Authorization: Bearer <token>".
+app.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'Metrics token required' });
+  }
+  res.set('Content-Type', metrics.contentType);
+  res.send(metrics.render());
+});
+
+// ─── Admin API ───────────────────────────────────────────────────────────────
+// Operator endpoints for inspecting and cleaning up live rooms. Disabled unless
+// ADMIN_KEY is set; every request must send "Authorization: Bearer <key>" (or
+// X-Admin-Key). Changes go through the same cleanup paths as the socket
+// handlers so clients and persisted state stay consistent.
+const ADMIN_KEY = process.env.ADMIN_KEY || null;
+
+function isAdminKey(candidate) {
+  if (!ADMIN_KEY || typeof candidate !== 'string') return false;
+  // Compare digests so the comparison is constant-time whatever the length
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(candidate), digest(ADMIN_KEY));
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_KEY) return res.status(404).json({ error: 'Admin API is disabled (set ADMIN_KEY)' });
+  const auth = req.get('authorization') || '';
+  const key = auth.startsWith('Bearer ') ? auth.slice(7) : req.get('x-admin-key');
+  if (!isAdminKey(key)) return res.status(401).json({ error: 'Admin key required' });
+  next();
+}
+
+function adminUserView(user) {
+  const health = connectionHealth[user.id];
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    isChatOnly: user.isChatOnly || false,
+    muted: user.muted || false,
+    active: user.active !== false,
+    disconnectedAt: user.disconnectedAt || null,
+    connection: {
+      connected: isSocketConnected(user.id),
+      timeSinceHeartbeat: health ? Date.now() - health.lastHeartbeat : null,
+      quality: health ? health.connectionQuality : null,
+      rtt: health && Number.isFinite(health.rtt) ? health.rtt : null,
+      clockOffset: health && Number.isFinite(health.clockOffset) ? health.clockOffset : null
+    }
+  };
+}
+
+function adminUploadView(uploadId) {
+  const meta = uploads[uploadId];
+  if (!meta) return null;
+  return {
+    ...queueEntry(uploadId),
+    roomId: meta.roomId,
+    totalChunks: meta.totalChunks,
+    receivedChunks: meta.receivedChunks,
+    assembledChunks: meta.assembledChunks,
+    pendingChunks: meta.pendingChunkSet.size,
+    container: meta.container,
+    scanStatus: meta.scanStatus,
+    verified: meta.verified,
+    seekIndex: seekIndexes[uploadId] ? seekIndexes[uploadId].status : null
+  };
+}
+
+function adminRoomSummary(room) {
+  return {
+    roomId: room.id,
+    hostId: room.host,
+    lastActive: room.lastActive,
+    streaming: room.streaming,
+    fileName: room.fileName,
+    hasPassword: !!room.passwordHash,
+    syncState: room.syncState,
+    pendingSeek: room.pendingSeekByte != null,
+    loopRange: room.loopRange,
+    audio: room.audio,
+    party: room.party ? partyView(room.id) : null,
+    openPolls: openPolls(room).length,
+    waitForEveryone: room.waitForEveryone,
+    bufferWait: room.bufferWait ? bufferWaitView(room.id) : null,
+    users: room.users.map(adminUserView),
+    upload: room.uploadId ? adminUploadView(room.uploadId) : null,
+    queueLength: (room.queue || []).length
+  };
+}
+
+// Tell everyone in the room why, disconnect them and delete the room with its uploads
+function closeRoom(roomId, reason) {
+  const room = rooms[roomId];
+  io.to(roomId).emit('room-closed', { roomId, reason: reason || null });
+  room.users.forEach(user => forgetSocket(user.id));
+  io.in(roomId).disconnectSockets(true);
+  const uids = deleteRoomUploads(room);
+  delete rooms[roomId];
+  schedulePersist();
+  roomLog.info('Room closed by admin', { roomId, uploadIds: uids, reason });
+}
+
+app.use('/admin', requireAdmin);
+
+app.get('/admin/rooms', (req, res) => {
+  res.json({ rooms: Object.values(rooms).map(adminRoomSummary) });
+});
+
+app.get('/admin/rooms/:roomId', (req, res) => {
+  const room = rooms[req.params.roomId];
+  if (!room) return res.status(404).json({ error: 'Room not found' });
+  res.json({
+    ...adminRoomSummary(room),
+    queue: (room.queue || []).map(adminUploadView).filter(Boolean),
+    subtitleSettings: room.subtitleSettings,
+    moderators: room.moderators,
+    muted: room.muted,
+    bans: room.bans,
+    messageCount: (room.messages || []).length
+  });
+});
+
+// Force-close a room; body { reason? }
+app.delete('/admin/rooms/:roomId', express.json(), (req, res) => {
+  if (!rooms[req.params.roomId]) return res.status(404).json({ error: 'Room not found' });
+  const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.slice(0, 200) : null;
+  closeRoom(req.params.roomId, reason);
+  res.json({ closed: true });
+});
+
+// Evict a user (even the host — the stream is torn down as if they had left); body { reason? }
+app.delete('/admin/rooms/:roomId/users/:userId', express.json(), (req, res) => {
+  const { roomId, userId } = req.params;
+  const room = rooms[roomId];
+  const target = room && room.users.find(u => u.id === userId);
+  if (!target) return res.status(404).json({ error: 'User not found' });
+  const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.slice(0, 200) : null;
+
+  io.to(userId).emit('kicked', { roomId, reason, by: 'admin' });
+  forgetSocket(userId);
+  io.in(userId).disconnectSockets(true);
+  finalizeUserRemoval(roomId, userId);
+  schedulePersist();
+  roomLog.info('User evicted by admin', { roomId, socketId: userId, username: target.username, reason });
+  res.json({ evicted: true });
+});
+
+// Delete an upload; the current one advances the room's queue like queue-remove
+app.delete('/admin/uploads/:uploadId', async (req, res) => {
+  const { uploadId } = req.params;
+  const meta = uploads[uploadId];
+  if (!meta) return res.status(404).json({ error: 'Upload not found' });
+  if (isCurrentUpload(uploadId, meta)) {
+    advanceQueue(meta.roomId);
+  } else {
+    await deleteUploadedFile(uploadId);
+  }
+  res.json({ deleted: true });
+});
+
+// Post a system message into a room's chat; body { message }
+app.post('/admin/rooms/:roomId/messages', express.json(), (req, res) => {
+  const room = rooms[req.params.roomId];
+  if (!room) return res.status(404).json({ error: 'Room not found' });
+  const text = req.body && req.body.message;
+  if (typeof text !== 'string' || text.trim().length === 0 || text.length > MAX_CHAT_LENGTH) {
+    return res.status(400).json({ error: `message must be 1-${MAX_CHAT_LENGTH} characters` });
+  }
+
+  res.json({ message: postSystemMessage(room, text) });
+});
+
+// Log levels of this instance: '*' is the default, other keys are modules
+app.get('/admin/log-levels', (req, res) => {
+  res.json({ levels: logger.getLevels() });
+});
+
+// Change them at runtime; body { "<module>|*": "<level>", … }, e.g.
+// { "sync": "debug", "*": "warn" }. In cluster mode this reaches only the
+// worker that serves the request.
+app.put('/admin/log-levels', express.json(), (req, res) => {
+  const changes = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? Object.entries(req.body) : [];
+  if (changes.length === 0) return res.status(400).json({ error: 'Send an object of module → level' });
+  const bad = changes.find(([, level]) => !Object.prototype.hasOwnProperty.call(logger.LEVELS, level));
+  if (bad) {
+    return res.status(400).json({ error: `Unknown log level "${bad[1]}" for ${bad[0]} (expected ${Object.keys(logger.LEVELS).join(', ')})` });
+  }
+
+  changes.forEach(([moduleName, level]) => logger.setLevel(moduleName, level));
+  log.info('Log levels changed', { changes: Object.fromEntries(changes) });
+  res.json({ levels: logger.getLevels() });
+});
+
+// ─── Graceful shutdown ───────────────────────────────────────────────────────
+// SIGTERM / SIGINT: tell every room we're going away and when to expect us
+// back, stop taking uploads and joins, let chunk appends in progress finish
+// and close the growing files, save state for restoreState, give open /stream
+// responses the rest of SHUTDOWN_GRACE_MS, then disconnect everyone and exit.
+// Anything still running at SHUTDOWN_DEADLINE_MS is cut off.
+const SHUTDOWN_GRACE_MS = parseInt(process.env.SHUTDOWN_GRACE_MS, 10) || 10000;
+const SHUTDOWN_DEADLINE_MS = parseInt(process.env.SHUTDOWN_DEADLINE_MS, 10) || 30000;
+const RESTART_WINDOW_MS = parseInt(process.env.RESTART_WINDOW_MS, 10) || 60000; // announced to clients
+const openStreams = new Set(); // /stream (and proxied) responses still being written
+let shuttingDown = false;
+
+function rejectWhileShuttingDown(req, res, next) {
+  if (!shuttingDown) return next();
+  res.set('Retry-After', String(Math.ceil(RESTART_WINDOW_MS / 1000)));
+  res.status(503).json({ error: 'Server is shutting down', retryAfterMs: RESTART_WINDOW_MS });
+}
+
+// Resolves once condition() holds or timeoutMs has passed
+function waitFor(condition, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  return new Promise(resolve => {
+    const check = () => {
+      if (condition() || Date.now() >= deadline) return resolve();
+      setTimeout(check, 50);
+    };
+    check();
+  });
+}
+
+// Let each upload finish the chunk it is appending, then close its file.
+// resumeUpload trims anything past the last whole chunk if we run out of time.
+async function closeUploadWriters() {
+  await waitFor(() => Object.values(uploads).every(meta => !meta.assembling), SHUTDOWN_GRACE_MS);
+  await Promise.all(Object.values(uploads).filter(meta => meta.writeStream).map(meta => {
+    const writeStream = meta.writeStream;
+    meta.writeStream = null;
+    return new Promise(resolve => {
+      writeStream.once('error', resolve);
+      writeStream.end(resolve);
+    });
+  }));
+}
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  const startedAt = Date.now();
+  log.info('Shutting down', { signal, graceMs: SHUTDOWN_GRACE_MS, deadlineMs: SHUTDOWN_DEADLINE_MS });
+  setTimeout(() => {
+    log.error('Shutdown deadline reached, exiting', { openStreams: openStreams.size });
+    process.exit(1);
+  }, SHUTDOWN_DEADLINE_MS).unref();
+
+  // No new connections; open ones carry on until the grace period is over
+  server.close();
+  Object.keys(rooms).forEach(roomId => {
+    io.local.to(roomId).emit('server-shutting-down', {
+      roomId,
+      restartWindowMs: RESTART_WINDOW_MS,
+      disconnectAt: startedAt + SHUTDOWN_GRACE_MS
+    });
+  });
+
+  await closeUploadWriters();
+  await persistState().catch(err => stateLog.error('persistState failed', { err }));
+
+  await waitFor(() => openStreams.size === 0, Math.max(0, startedAt + SHUTDOWN_GRACE_MS - Date.now()));
+  if (openStreams.size > 0) log.warn('Cutting off open streams', { count: openStreams.size });
+  openStreams.forEach(res => res.destroy());
+  server.closeAllConnections();
+  io.local.disconnectSockets(true);
+
+  await persistState().catch(err => stateLog.error('persistState failed', { err }));
+  await store.close();
+  await sharedState.close();
+  log.info('Shutdown complete', { tookMs: Date.now() - startedAt });
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Start server once persisted state has been reloaded
 const PORT = process.env.PORT || 10000;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+restoreState()
+  .catch(err => stateLog.error('restoreState failed', { err }))
+  .then(() => {
+    server.listen(PORT, () => {
+      log.info('Server running', { port: Number(PORT) });
+    });
+  });
\ No newline at end of file
@@ -0,0 +1,87 @@
+const cluster = require('cluster');
+const crypto = require('crypto');
+
+// ─── Shared live state ───────────────────────────────────────────────────────
+// When several instances serve the same rooms, each keeps its own in-memory
+// copy of rooms, the upload directory, peer ids and connection health, and
+// publishes its changes through a backend so the others can apply them.
+// Every backend exposes:
+//
+//   set(namespace, key, value)  → publish one entry (value null = deleted)
+//   snapshot()                  → { [namespace]: { [key]: value } } as of now
+//   subscribe(handler)          → handler(namespace, key, value) for changes
+//                                 published by other instances
+//   close()
+//
+// Values must survive structured cloning (plain objects, arrays, Buffers).
+// A later set() for the same key replaces the earlier one wherever it came from.
+
+const SNAPSHOT_TIMEOUT_MS = 5000;
+
+// Single process: nothing to share with
+function createLocalSharedState() {
+  return {
+    kind: 'local',
+    shared: false,
+    set() {},
+    async snapshot() { return {}; },
+    subscribe() {},
+    async close() {}
+  };
+}
+
+// Cluster worker: the primary process (cluster.js) holds the state and relays
+// every change to the other workers over the IPC channel
+function createClusterSharedState() {
+  const handlers = [];
+  const pending = new Map(); // requestId → resolve
+
+  const onMessage = msg => {
+    if (!msg) return;
+    if (msg.cluster === 'state-set') {
+      handlers.forEach(handler => handler(msg.namespace, msg.key, msg.value));
+    } else if (msg.cluster === 'state-snapshot' && pending.has(msg.requestId)) {
+      pending.get(msg.requestId)(msg.state);
+      pending.delete(msg.requestId);
+    }
+  };
+  process.on('message', onMessage);
+
+  return {
+    kind: 'cluster',
+    shared: true,
+    set(namespace, key, value) {
+      if (!process.connected) return;
+      process.send({ cluster: 'state-set', namespace, key, value: value === undefined ? null : value });
+    },
+    snapshot() {
+      const requestId = crypto.randomBytes(8).toString('hex');
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          pending.delete(requestId);
+          reject(new Error('Timed out waiting for the shared state snapshot'));
+        }, SNAPSHOT_TIMEOUT_MS);
+        pending.set(requestId, state => {
+          clearTimeout(timer);
+          resolve(state);
+        });
+        process.send({ cluster: 'state-snapshot', requestId });
+      });
+    },
+    subscribe(handler) {
+      handlers.push(handler);
+    },
+    async close() {
+      process.off('message', onMessage);
+    }
+  };
+}
+
+// Cluster workers share through the primary; a standalone process shares nothing
+function createSharedState(kind = process.env.SHARED_STATE || (cluster.isWorker ? 'cluster' : 'local')) {
+  if (kind === 'local') return createLocalSharedState();
+  if (kind === 'cluster') return createClusterSharedState();
+  throw new Error(`Unknown SHARED_STATE "${kind}" (expected "local" or "cluster")`);
+}
+
+module.exports = { createSharedState, createLocalSharedState, createClusterSharedState };
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const log = require('./logger').child('store');
+
+// ─── State storage adapters ──────────────────────────────────────────────────
+// Every adapter exposes the same async interface so server.js doesn't care
+// where state ends up:
+//
+//   load()          → last saved snapshot, or null if there is none
+//   save(snapshot)  → persist a full snapshot (plain JSON-safe object)
+//   close()         → flush and release any resources
+//
+// A snapshot looks like:
+//   { version, savedAt, rooms, uploads, userSocketMap, peerIdMap, connectionHealth }
+
+const SNAPSHOT_VERSION = 1;
+
+// In-memory adapter: state lives only as long as the process (old behaviour).
+function createMemoryStore() {
+  let snapshot = null;
+
+  return {
+    kind: 'memory',
+    async load() {
+      return snapshot ? JSON.parse(JSON.stringify(snapshot)) : null;
+    },
+    async save(next) {
+      snapshot = JSON.parse(JSON.stringify({ ...next, version: SNAPSHOT_VERSION, savedAt: Date.now() }));
+    },
+    async close() {}
+  };
+}
+
+// File adapter: one JSON document on disk, written atomically (tmp + rename)
+// so a crash mid-write never leaves a truncated state file behind.
+function createFileStore(filePath) {
+  const tmpPath = `${filePath}.tmp`;
+  let writing = Promise.resolve();
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  return {
+    kind: 'file',
+    filePath,
+    async load() {
+      try {
+        const raw = await fsp.readFile(filePath, 'utf8');
+        const snapshot = JSON.parse(raw);
+        if (snapshot.version !== SNAPSHOT_VERSION) {
+          log.warn('Ignoring state file with another version', { filePath, version: snapshot.version, expected: SNAPSHOT_VERSION });
+          return null;
+        }
+        return snapshot;
+      } catch (err) {
+        if (err.code !== 'ENOENT') log.error('Could not read state file', { filePath, err });
+        return null;
+      }
+    },
+    save(next) {
+      const body = JSON.stringify({ ...next, version: SNAPSHOT_VERSION, savedAt: Date.now() });
+      // Serialise writes so an older snapshot can never overwrite a newer one
+      writing = writing.then(async () => {
+        await fsp.writeFile(tmpPath, body);
+        await fsp.rename(tmpPath, filePath);
+      }).catch(err => {
+        log.error('Could not write state file', { filePath, err });
+      });
+      return writing;
+    },
+    async close() {
+      await writing;
+    }
+  };
+}
+
+// Pick an adapter from the environment.
+//   STATE_STORE=memory  → nothing survives a restart
+//   STATE_STORE=file    → JSON snapshot at STATE_FILE (default ./data/state.json)
+function createStore(kind = process.env.STATE_STORE || 'file') {
+  if (kind === 'memory') return createMemoryStore();
+  if (kind === 'file') {
+    return createFileStore(process.env.STATE_FILE || path.join(__dirname, 'data', 'state.json'));
+  }
+  throw new Error(`Unknown STATE_STORE "${kind}" (expected "memory" or "file")`);
+}
+
+module.exports = { createStore, createMemoryStore, createFileStore, SNAPSHOT_VERSION };
@@ -0,0 +1,142 @@
+// ─── Subtitle conversion ─────────────────────────────────────────────────────
+// Browsers only render WebVTT natively, so SRT, WebVTT and ASS/SSA uploads are
+// parsed into plain cues ({ start, end, text, settings }, times in seconds)
+// and written back out as WebVTT, with an optional timing offset applied.
+
+const SUPPORTED_FORMATS = ['srt', 'vtt', 'ass'];
+
+function detectFormat(fileName, text) {
+  const ext = String(fileName || '').split('.').pop().toLowerCase();
+  if (ext === 'ssa') return 'ass';
+  if (SUPPORTED_FORMATS.includes(ext)) return ext;
+  if (/^WEBVTT/.test(text)) return 'vtt';
+  if (/^\[Script Info\]/im.test(text)) return 'ass';
+  if (/\d+:\d{2}:\d{2}[,.]\d{1,3}\s*-->/.test(text)) return 'srt';
+  return null;
+}
+
+// "01:02:03,456", "02:03.456" (SRT/VTT) → seconds
+function parseTimestamp(value) {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/.exec(value.trim());
+  if (!match) return null;
+  const [, h = '0', m, s, frac] = match;
+  return Number(h) * 3600 + Number(m) * 60 + Number(s) + Number(frac.padEnd(3, '0')) / 1000;
+}
+
+// "1:02:03.45" (ASS, centiseconds) → seconds
+function parseAssTimestamp(value) {
+  const match = /^(\d+):(\d{1,2}):(\d{1,2})\.(\d{1,2})$/.exec(value.trim());
+  if (!match) return null;
+  const [, h, m, s, cs] = match;
+  return Number(h) * 3600 + Number(m) * 60 + Number(s) + Number(cs.padEnd(2, '0')) / 100;
+}
+
+function formatTimestamp(seconds) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(totalMs / 3600000);
+  const m = Math.floor(totalMs / 60000) % 60;
+  const s = Math.floor(totalMs / 1000) % 60;
+  const ms = totalMs % 1000;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+}
+
+// SRT and WebVTT share the same block shape: [id]\n start --> end [settings]\n text…
+function parseSrtOrVtt(text) {
+  const cues = [];
+  const blocks = text.split(/\n{2,}/);
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1 || timingIndex > 1) continue; // header, NOTE, STYLE, …
+
+    const [startPart, rest = ''] = lines[timingIndex].split('-->');
+    const [endPart, ...settings] = rest.trim().split(/\s+/);
+    const start = parseTimestamp(startPart);
+    const end = parseTimestamp(endPart || '');
+    if (start === null || end === null) continue;
+
+    const cueText = lines.slice(timingIndex + 1).join('\n').trim();
+    if (!cueText) continue;
+    cues.push({
+      start,
+      end,
+      text: cueText.replace(/<\/?font[^>]*>/gi, '').replace(/\{\\an?\d+\}/g, ''),
+      // SRT has no cue settings; SRT "X1:… Y1:…" coordinates are dropped
+      settings: settings.filter(setting => /^(align|line|position|size|vertical|region):/.test(setting)).join(' ')
+    });
+  }
+  return cues;
+}
+
+function parseAss(text) {
+  const cues = [];
+  let inEvents = false;
+  let format = null;
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (/^\[.*\]$/.test(line)) {
+      inEvents = line.toLowerCase() === '[events]';
+      continue;
+    }
+    if (!inEvents) continue;
+
+    if (/^Format:/i.test(line)) {
+      format = line.slice(line.indexOf(':') + 1).split(',').map(field => field.trim().toLowerCase());
+      continue;
+    }
+    if (!/^Dialogue:/i.test(line) || !format) continue;
+
+    // Text is the last field and may itself contain commas
+    const values = line.slice(line.indexOf(':') + 1).split(',');
+    const fields = values.slice(0, format.length - 1).map(value => value.trim());
+    fields.push(values.slice(format.length - 1).join(','));
+    const field = name => fields[format.indexOf(name)];
+
+    const start = parseAssTimestamp(field('start') || '');
+    const end = parseAssTimestamp(field('end') || '');
+    const cueText = (field('text') || '')
+      .replace(/\{[^}]*\}/g, '')      // override tags
+      .replace(/\\N/gi, '\n')
+      .replace(/\\h/g, ' ')
+      .trim();
+    if (start === null || end === null || !cueText) continue;
+    cues.push({ start, end, text: cueText, settings: '' });
+  }
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+// Write cues ({ start, end, text, settings }, times in seconds) as a WebVTT file
+function cuesToWebVTT(cues) {
+  const lines = ['WEBVTT', ''];
+  for (const cue of cues) {
+    const timing = `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}`;
+    lines.push(cue.settings ? `${timing} ${cue.settings}` : timing);
+    lines.push(cue.text.replace(/-->/g, '->'), '');
+  }
+  return lines.join('\n');
+}
+
+// A blank line ends a WebVTT cue, so cue text must not contain one (ASS "\N\N",
+// whitespace-only lines in SRT)
+function stripBlankLines(text) {
+  return text.split('\n').filter(line => line.trim()).join('\n');
+}
+
+// Convert a subtitle file to WebVTT. offsetSeconds shifts every cue (positive
+// = later); cues pushed entirely before 0 are dropped, and a file left with no
+// cues at all is an error.
+function convertToWebVTT(input, format, offsetSeconds = 0) {
+  const text = String(input).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const cues = format === 'ass' ? parseAss(text) : parseSrtOrVtt(text);
+  if (cues.length === 0) throw new Error(`No cues found in ${format} subtitle file`);
+
+  const shifted = cues
+    .map(cue => ({ ...cue, text: stripBlankLines(cue.text), start: cue.start + offsetSeconds, end: cue.end + offsetSeconds }))
+    .filter(cue => cue.text && cue.end > 0 && cue.end > cue.start);
+  if (shifted.length === 0) throw new Error(`No cues left after applying the ${offsetSeconds}s offset`);
+  return { vtt: cuesToWebVTT(shifted), cueCount: shifted.length };
+}
+
+module.exports = { SUPPORTED_FORMATS, detectFormat, convertToWebVTT, cuesToWebVTT };
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveType, sniffContainer } = require('../media');
+
+function box(type, body = Buffer.alloc(0)) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+// `count` MPEG-TS packets of `packetSize` bytes, sync byte `syncOffset` bytes in
+function transportStream(count, packetSize = 188, syncOffset = 0) {
+  const buf = Buffer.alloc(count * packetSize);
+  for (let i = 0; i < count; i++) buf[i * packetSize + syncOffset] = 0x47;
+  return buf;
+}
+
+test('resolveType normalises and allowlists MIME types', () => {
+  assert.deepEqual(resolveType('Video/MP4; codecs="avc1"'), { type: 'video/mp4', ext: 'mp4', container: 'iso-bmff' });
+  assert.equal(resolveType('application/x-msdownload'), null);
+});
+
+test('sniffContainer recognises ISO-BMFF by its first box', () => {
+  assert.equal(sniffContainer(box('ftyp', Buffer.from('isom\0\0\2\0isomiso2'))), 'iso-bmff');
+  assert.equal(sniffContainer(Buffer.concat([box('moov'), box('mdat')])), 'iso-bmff');
+});
+
+test('sniffContainer rejects box-shaped data that is not ISO-BMFF', () => {
+  assert.equal(sniffContainer(box('abcd', Buffer.alloc(8))), null);
+  assert.equal(sniffContainer(box('ftyp', Buffer.from('\0\0\0\0\0\0\0\0'))), null);  // no brand
+  const tooSmall = box('moov', Buffer.alloc(8));
+  tooSmall.writeUInt32BE(4);
+  assert.equal(sniffContainer(tooSmall), null);
+});
+
+test('sniffContainer recognises the other containers by signature', () => {
+  assert.equal(sniffContainer(Buffer.from('RIFF\0\0\0\0AVI LIST', 'latin1')), 'avi');
+  assert.equal(sniffContainer(Buffer.from('1a45dfa3a3428286', 'hex')), 'matroska');
+  assert.equal(sniffContainer(Buffer.concat([Buffer.from('3026b2758e66cf11a6d900aa0062ce6c', 'hex'), Buffer.alloc(14)])), 'asf');
+  assert.equal(sniffContainer(Buffer.from('FLV\x01\x05\0\0\0\x09', 'latin1')), 'flv');
+});
+
+test('sniffContainer needs two MPEG-TS sync bytes a packet apart', () => {
+  assert.equal(sniffContainer(transportStream(4)), 'mpeg-ts');
+  assert.equal(sniffContainer(transportStream(2, 192, 4)), 'mpeg-ts');
+  assert.equal(sniffContainer(Buffer.from([0x47, 1, 2, 3])), null);
+  assert.equal(sniffContainer(transportStream(1)), null);
+
+  const broken = transportStream(4);
+  broken[188] = 0;
+  assert.equal(sniffContainer(broken), null);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRegistry } = require('../metrics');
+
+// Sample lines of one metric, without the HELP/TYPE comments
+function samples(registry, name) {
+  return registry.render().split('\n').filter(line => line.startsWith(name) && !line.startsWith(`${name}_`));
+}
+
+test('metrics nobody has touched render a zero series', () => {
+  const registry = createRegistry();
+  registry.counter({ name: 'c_total', help: 'c' });
+  registry.gauge({ name: 'g', help: 'g' });
+  registry.gauge({ name: 'collected', help: 'c', collect() {} });
+  assert.deepEqual(samples(registry, 'c_total'), ['c_total 0']);
+  assert.deepEqual(samples(registry, 'g'), ['g 0']);
+  assert.deepEqual(samples(registry, 'collected'), ['collected 0']);
+});
+
+test('a gauge that goes back down keeps its series at zero', () => {
+  const registry = createRegistry();
+  const readers = registry.gauge({ name: 'readers', help: 'r' });
+  readers.inc();
+  readers.inc();
+  assert.deepEqual(samples(registry, 'readers'), ['readers 2']);
+  readers.dec();
+  readers.dec();
+  assert.deepEqual(samples(registry, 'readers'), ['readers 0']);
+});
+
+test('labelled series render with their labels', () => {
+  const registry = createRegistry();
+  const users = registry.gauge({ name: 'users', help: 'u' });
+  users.set({ role: 'host' }, 1);
+  users.set({ role: 'say "hi"' }, 3);
+  assert.deepEqual(samples(registry, 'users'), ['users{role="host"} 1', 'users{role="say \\"hi\\""} 3']);
+});
+
+test('histograms count observations into cumulative buckets', () => {
+  const registry = createRegistry();
+  const latency = registry.histogram({ name: 'latency', help: 'l', buckets: [1, 5] });
+  latency.observe(0.5);
+  latency.observe(3);
+  latency.observe(NaN);
+  const lines = registry.render().split('\n').filter(line => line.startsWith('latency_'));
+  assert.deepEqual(lines, [
+    'latency_bucket{le="1"} 1',
+    'latency_bucket{le="5"} 2',
+    'latency_bucket{le="+Inf"} 2',
+    'latency_sum 3.5',
+    'latency_count 2'
+  ]);
+});
+
+test('a metric name can only be registered once', () => {
+  const registry = createRegistry();
+  registry.counter({ name: 'dup', help: 'd' });
+  assert.throws(() => registry.gauge({ name: 'dup', help: 'd' }), /already registered/);
+});
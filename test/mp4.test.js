@@ -0,0 +1,162 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { childBoxes, buildSeekIndex, buildSeekIndexFromTail, keyframeForTime } = require('../mp4');
+
+// ─── Synthetic MP4 files ─────────────────────────────────────────────────────
+// One video track of `samples` samples, `delta` ticks apart, with a keyframe
+// every `keyEvery` samples and `samplesPerChunk` samples per chunk.
+
+function box(type, ...parts) {
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+function u32(...values) {
+  const buf = Buffer.alloc(4 * values.length);
+  values.forEach((value, i) => buf.writeUInt32BE(value, i * 4));
+  return buf;
+}
+
+function fullBox(type, ...parts) {
+  return box(type, u32(0), ...parts);
+}
+
+function makeMp4({ samples = 20, sampleSize = 100, keyEvery = 5, timescale = 1000, delta = 500, samplesPerChunk = 4, moovAtEnd = false } = {}) {
+  const sizes = Array.from({ length: samples }, (_, i) => sampleSize + i);
+  const chunkCount = Math.ceil(samples / samplesPerChunk);
+  const syncSamples = [];
+  for (let i = 0; i < samples; i += keyEvery) syncSamples.push(i + 1);
+
+  const moovFor = mdatStart => {
+    const offsets = [];
+    let offset = mdatStart + 8;
+    for (let chunk = 0; chunk < chunkCount; chunk++) {
+      offsets.push(offset);
+      for (let s = chunk * samplesPerChunk; s < Math.min(samples, (chunk + 1) * samplesPerChunk); s++) offset += sizes[s];
+    }
+    const stbl = box('stbl',
+      fullBox('stts', u32(1, samples, delta)),
+      fullBox('stsc', u32(1, 1, samplesPerChunk, 1)),
+      fullBox('stsz', u32(0, samples, ...sizes)),
+      fullBox('stco', u32(chunkCount, ...offsets)),
+      fullBox('stss', u32(syncSamples.length, ...syncSamples)));
+    const mdhd = fullBox('mdhd', u32(0, 0, timescale, samples * delta, 0));
+    const hdlr = fullBox('hdlr', u32(0), Buffer.from('vide'), u32(0, 0, 0), Buffer.from('V\0'));
+    return box('moov',
+      fullBox('mvhd', u32(0, 0, timescale, samples * delta)),
+      box('trak', box('mdia', mdhd, hdlr, box('minf', stbl))));
+  };
+
+  const ftyp = box('ftyp', Buffer.from('isom'), u32(512), Buffer.from('isommp41'));
+  const mdat = box('mdat', Buffer.concat(sizes.map(size => Buffer.alloc(size))));
+  if (moovAtEnd) return { buf: Buffer.concat([ftyp, mdat, moovFor(ftyp.length)]), sizes, mdatStart: ftyp.length };
+  const moovSize = moovFor(0).length;
+  return { buf: Buffer.concat([ftyp, moovFor(ftyp.length + moovSize), mdat]), sizes, mdatStart: ftyp.length + moovSize };
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mp4-test-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+let tempCount = 0;
+function writeTemp(buf) {
+  const file = path.join(tempDir, `video-${tempCount++}.mp4`);
+  fs.writeFileSync(file, buf);
+  return file;
+}
+
+// Byte offset of sample n inside the synthetic file
+function sampleOffset({ sizes, mdatStart }, n) {
+  return mdatStart + 8 + sizes.slice(0, n).reduce((sum, size) => sum + size, 0);
+}
+
+// ─── Box parsing ─────────────────────────────────────────────────────────────
+
+test('childBoxes lists the top-level boxes', () => {
+  const { buf } = makeMp4();
+  assert.deepEqual(childBoxes(buf, 0, buf.length).map(b => b.type), ['ftyp', 'moov', 'mdat']);
+});
+
+test('childBoxes stops at a box that overruns its parent', () => {
+  const buf = Buffer.concat([box('free', Buffer.alloc(4)), u32(1000), Buffer.from('mdat')]);
+  assert.deepEqual(childBoxes(buf, 0, buf.length).map(b => b.type), ['free']);
+});
+
+// ─── Seek index ──────────────────────────────────────────────────────────────
+
+test('buildSeekIndex indexes every keyframe of a faststart file', async () => {
+  const mp4 = makeMp4();
+  const result = await buildSeekIndex(writeTemp(mp4.buf), mp4.buf.length, mp4.buf.length);
+  assert.equal(result.status, 'ready');
+  assert.deepEqual(Array.from(result.index.times), [0, 2.5, 5, 7.5]);
+  assert.deepEqual(Array.from(result.index.offsets), [0, 5, 10, 15].map(n => sampleOffset(mp4, n)));
+  assert.equal(result.index.ends[1], sampleOffset(mp4, 5) + mp4.sizes[5]);
+});
+
+test('buildSeekIndex reports how many bytes it needs while the moov is arriving', async () => {
+  const mp4 = makeMp4();
+  const result = await buildSeekIndex(writeTemp(mp4.buf), 100, mp4.buf.length);
+  assert.equal(result.status, 'incomplete');
+  assert.equal(result.needBytes, mp4.mdatStart);
+});
+
+test('buildSeekIndex points at the tail when the moov follows the media data', async () => {
+  const mp4 = makeMp4({ moovAtEnd: true });
+  const mdatEnd = mp4.mdatStart + 8 + mp4.sizes.reduce((sum, size) => sum + size, 0);
+  const result = await buildSeekIndex(writeTemp(mp4.buf), mdatEnd, mp4.buf.length);
+  assert.equal(result.status, 'incomplete');
+  assert.equal(result.moovAtEnd, true);
+  assert.equal(result.tailOffset, mdatEnd);
+});
+
+test('buildSeekIndex rejects files that are not ISO-BMFF', async () => {
+  const buf = Buffer.from('definitely not a video file at all');
+  const result = await buildSeekIndex(writeTemp(buf), buf.length, buf.length);
+  assert.equal(result.status, 'unsupported');
+});
+
+test('buildSeekIndexFromTail reads the moov through the callback', async () => {
+  const mp4 = makeMp4({ moovAtEnd: true });
+  const tailOffset = mp4.mdatStart + 8 + mp4.sizes.reduce((sum, size) => sum + size, 0);
+  const reads = [];
+  const read = async (position, length) => {
+    reads.push(position);
+    return mp4.buf.subarray(position, position + length);
+  };
+  const result = await buildSeekIndexFromTail(read, tailOffset, mp4.buf.length);
+  assert.equal(result.status, 'ready');
+  assert.ok(reads.every(position => position >= tailOffset));
+  assert.deepEqual(Array.from(result.index.offsets), [0, 5, 10, 15].map(n => sampleOffset(mp4, n)));
+});
+
+test('buildSeekIndexFromTail rejects garbage at the tail offset', async () => {
+  const buf = Buffer.alloc(64, 0xff);
+  const read = async (position, length) => buf.subarray(position, position + length);
+  assert.equal((await buildSeekIndexFromTail(read, 0, buf.length)).status, 'unsupported');
+});
+
+test('buildSeekIndexFromTail rejects a 64-bit box header cut off by the end of the file', async () => {
+  const buf = Buffer.concat([u32(1), Buffer.from('moov'), Buffer.alloc(4)]);
+  const read = async (position, length) => buf.subarray(position, position + length);
+  assert.equal((await buildSeekIndexFromTail(read, 0, buf.length)).status, 'unsupported');
+});
+
+// ─── Keyframe lookup ─────────────────────────────────────────────────────────
+
+test('keyframeForTime picks the keyframe at or before the time', () => {
+  const index = {
+    times: Float64Array.from([0, 2, 4]),
+    offsets: Float64Array.from([100, 200, 300]),
+    ends: Float64Array.from([150, 250, 350])
+  };
+  assert.deepEqual(keyframeForTime(index, 0), { time: 0, offset: 100, end: 150 });
+  assert.deepEqual(keyframeForTime(index, 3.9), { time: 2, offset: 200, end: 250 });
+  assert.deepEqual(keyframeForTime(index, 4), { time: 4, offset: 300, end: 350 });
+  assert.deepEqual(keyframeForTime(index, 99), { time: 4, offset: 300, end: 350 });
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EVENT_LIMITS, createRateLimiter } = require('../rate-limit');
+
+const LIMITS = {
+  default: { burst: 3, perSecond: 1 },
+  slow: { burst: 1, perSecond: 0.5 }
+};
+
+test('a bucket allows a full burst, then refuses', () => {
+  const limiter = createRateLimiter(LIMITS);
+  for (let i = 0; i < 3; i++) assert.deepEqual(limiter.take('anything', 0), { allowed: true, retryAfterMs: 0 });
+  assert.deepEqual(limiter.take('anything', 0), { allowed: false, retryAfterMs: 1000 });
+});
+
+test('tokens refill over time, up to the burst size', () => {
+  const limiter = createRateLimiter(LIMITS);
+  for (let i = 0; i < 3; i++) limiter.take('anything', 0);
+  assert.deepEqual(limiter.take('anything', 400), { allowed: false, retryAfterMs: 600 });
+  assert.equal(limiter.take('anything', 1000).allowed, true);
+  assert.equal(limiter.take('anything', 1000).allowed, false);
+
+  // A long pause refills to the burst size, not beyond
+  for (let i = 0; i < 3; i++) assert.equal(limiter.take('anything', 60000).allowed, true);
+  assert.equal(limiter.take('anything', 60000).allowed, false);
+});
+
+test('each event has its own bucket and limits', () => {
+  const limiter = createRateLimiter(LIMITS);
+  assert.equal(limiter.take('slow', 0).allowed, true);
+  assert.deepEqual(limiter.take('slow', 0), { allowed: false, retryAfterMs: 2000 });
+  assert.equal(limiter.take('other', 0).allowed, true);
+});
+
+test('limiters do not share buckets', () => {
+  const a = createRateLimiter(LIMITS);
+  const b = createRateLimiter(LIMITS);
+  a.take('slow', 0);
+  assert.equal(b.take('slow', 0).allowed, true);
+});
+
+test('the built-in limits are usable buckets', () => {
+  for (const [event, { burst, perSecond }] of Object.entries(EVENT_LIMITS)) {
+    assert.ok(burst >= 1, `${event} burst`);
+    assert.ok(perSecond > 0, `${event} perSecond`);
+  }
+});
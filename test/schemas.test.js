@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EVENT_SCHEMAS, MAX_CHAT_LENGTH, isKnownEvent, validateEvent } = require('../schemas');
+
+test('isKnownEvent only knows the declared events', () => {
+  assert.equal(isKnownEvent('sendMessage'), true);
+  assert.equal(isKnownEvent('create-room'), true);
+  assert.equal(isKnownEvent('no-such-event'), false);
+  assert.equal(isKnownEvent('__proto__'), false);
+  assert.equal(isKnownEvent('toString'), false);
+});
+
+test('validateEvent rejects unknown events and non-object payloads', () => {
+  assert.deepEqual(validateEvent('no-such-event', {}), ['Unknown event "no-such-event"']);
+  assert.deepEqual(validateEvent('sendMessage', 'hello'), ['payload must be an object']);
+  assert.deepEqual(validateEvent('sendMessage', [1]), ['payload must be an object']);
+});
+
+test('validateEvent accepts anything for events without a schema', () => {
+  assert.equal(EVENT_SCHEMAS['create-room'], null);
+  assert.deepEqual(validateEvent('create-room', undefined), []);
+});
+
+test('validateEvent checks required fields, types and lengths', () => {
+  assert.deepEqual(validateEvent('sendMessage', { roomId: 'r1', message: 'hi' }), []);
+  assert.deepEqual(validateEvent('sendMessage', { roomId: 42, message: 'x'.repeat(MAX_CHAT_LENGTH + 1) }), [
+    'roomId must be a string',
+    `message must be at most ${MAX_CHAT_LENGTH} characters`
+  ]);
+  assert.deepEqual(validateEvent('sendMessage', { message: '' }), [
+    'roomId is required',
+    'message must be at least 1 characters'
+  ]);
+});
+
+test('validateEvent lets optional fields be missing or null', () => {
+  const base = { roomId: 'r1', username: 'ann' };
+  assert.deepEqual(validateEvent('joinRoom', base), []);
+  assert.deepEqual(validateEvent('joinRoom', { ...base, isHost: null }), []);
+  assert.deepEqual(validateEvent('joinRoom', { ...base, isHost: 'yes' }), ['isHost must be a boolean']);
+});
+
+test('validateEvent checks number ranges and integers', () => {
+  assert.deepEqual(validateEvent('set-audio-state', { roomId: 'r1', muted: false, volume: 0.5 }), []);
+  assert.deepEqual(validateEvent('set-audio-state', { roomId: 'r1', muted: false, volume: 2 }), ['volume must be <= 1']);
+  assert.deepEqual(validateEvent('set-audio-state', { roomId: 'r1', muted: false, volume: NaN }), ['volume must be a finite number']);
+  assert.deepEqual(validateEvent('chat-history-request', { roomId: 'r1', limit: 1.5 }), ['limit must be an integer']);
+});
+
+test('validateEvent checks arrays and nested objects', () => {
+  const poll = { roomId: 'r1', question: 'Next?', options: [{ text: 'A' }, { text: 'B', action: { type: 'seek', time: 30 } }] };
+  assert.deepEqual(validateEvent('create-poll', poll), []);
+  assert.deepEqual(validateEvent('create-poll', { ...poll, options: [{ text: 'A' }] }), ['options must have at least 2 items']);
+  assert.deepEqual(validateEvent('create-poll', { ...poll, options: 'A,B' }), ['options must be an array']);
+  assert.deepEqual(validateEvent('create-poll', { ...poll, options: [{ text: 'A' }, { text: 'B', action: 'seek' }] }), [
+    'options[1].action must be an object'
+  ]);
+  assert.deepEqual(validateEvent('vote-poll', { roomId: 'r1', pollId: 'p1', optionIds: [] }), []);
+  assert.deepEqual(validateEvent('vote-poll', { roomId: 'r1', pollId: 'p1', optionIds: ['o1', 2] }), ['optionIds[1] must be a string']);
+});
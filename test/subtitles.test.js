@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectFormat, convertToWebVTT, cuesToWebVTT } = require('../subtitles');
+
+const SRT = [
+  '1',
+  '00:00:01,000 --> 00:00:02,500',
+  '<font color="red">Hello</font>',
+  '',
+  '2',
+  '00:00:03,000 --> 00:00:04,000 X1:10 Y1:20',
+  'Second line',
+  'continues',
+  ''
+].join('\r\n');
+
+const ASS = [
+  '[Script Info]',
+  'Title: test',
+  '',
+  '[Events]',
+  'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+  'Dialogue: 0,0:00:05.00,0:00:06.50,Default,,0,0,0,,Later, with a comma',
+  'Dialogue: 0,0:00:01.20,0:00:02.00,Default,,0,0,0,,{\\b1}Bold{\\b0}\\Nnext line',
+  ''
+].join('\n');
+
+// ─── Format detection ────────────────────────────────────────────────────────
+
+test('detectFormat goes by extension first', () => {
+  assert.equal(detectFormat('movie.SRT', ''), 'srt');
+  assert.equal(detectFormat('movie.ssa', ''), 'ass');
+  assert.equal(detectFormat('movie.vtt', ''), 'vtt');
+});
+
+test('detectFormat sniffs the content when the extension is unknown', () => {
+  assert.equal(detectFormat('subs.txt', 'WEBVTT\n\n00:01.000 --> 00:02.000\nHi'), 'vtt');
+  assert.equal(detectFormat('subs.txt', ASS), 'ass');
+  assert.equal(detectFormat('subs.txt', SRT), 'srt');
+  assert.equal(detectFormat('subs.txt', 'just some notes'), null);
+});
+
+// ─── Conversion ──────────────────────────────────────────────────────────────
+
+test('convertToWebVTT converts SRT and drops SRT-only markup', () => {
+  const { vtt, cueCount } = convertToWebVTT(SRT, 'srt');
+  assert.equal(cueCount, 2);
+  assert.equal(vtt, [
+    'WEBVTT',
+    '',
+    '00:00:01.000 --> 00:00:02.500',
+    'Hello',
+    '',
+    '00:00:03.000 --> 00:00:04.000',
+    'Second line\ncontinues',
+    ''
+  ].join('\n'));
+});
+
+test('convertToWebVTT keeps WebVTT cue settings and skips NOTE blocks', () => {
+  const input = 'WEBVTT\n\nNOTE a comment\n\n00:01.000 --> 00:02.000 align:start line:0\nTop\n';
+  const { vtt, cueCount } = convertToWebVTT(input, 'vtt');
+  assert.equal(cueCount, 1);
+  assert.match(vtt, /^00:00:01\.000 --> 00:00:02\.000 align:start line:0\nTop$/m);
+});
+
+test('convertToWebVTT sorts ASS dialogue and strips override tags', () => {
+  const { vtt, cueCount } = convertToWebVTT(ASS, 'ass');
+  assert.equal(cueCount, 2);
+  const timings = vtt.split('\n').filter(line => line.includes('-->'));
+  assert.deepEqual(timings, ['00:00:01.200 --> 00:00:02.000', '00:00:05.000 --> 00:00:06.500']);
+  assert.match(vtt, /\nBold\nnext line\n/);
+  assert.match(vtt, /\nLater, with a comma\n/);
+});
+
+test('convertToWebVTT applies the offset and drops cues pushed before zero', () => {
+  const { vtt, cueCount } = convertToWebVTT(SRT, 'srt', -2.5);
+  assert.equal(cueCount, 1);
+  assert.match(vtt, /^00:00:00\.500 --> 00:00:01\.500$/m);
+});
+
+test('convertToWebVTT keeps blank lines out of cue text', () => {
+  const ass = ASS.replace('Bold{\\b0}\\Nnext line', 'Bold{\\b0}\\N\\Nnext line');
+  assert.match(convertToWebVTT(ass, 'ass').vtt, /\nBold\nnext line\n/);
+  const srt = '1\n00:00:01,000 --> 00:00:02,000\nfirst\n   \nsecond\n';
+  assert.match(convertToWebVTT(srt, 'srt').vtt, /\nfirst\nsecond\n/);
+});
+
+test('convertToWebVTT throws when the offset leaves no cues', () => {
+  assert.throws(() => convertToWebVTT(SRT, 'srt', -10), /No cues left after applying the -10s offset/);
+});
+
+test('convertToWebVTT throws when there are no cues', () => {
+  assert.throws(() => convertToWebVTT('nothing here', 'srt'), /No cues found in srt subtitle file/);
+});
+
+test('cuesToWebVTT escapes arrows inside cue text', () => {
+  const vtt = cuesToWebVTT([{ start: 61.5, end: 3723.004, text: 'a --> b', settings: '' }]);
+  assert.equal(vtt, 'WEBVTT\n\n00:01:01.500 --> 01:02:03.004\na -> b\n');
+});